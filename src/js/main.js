@@ -3,13 +3,35 @@
  * 
  * Implements:
  * - Smooth scrolling for CTA buttons
- * - Lazy loading for background images
+ * - Lazy loading for all images with responsive sources, AVIF/WebP, blur-up and retry
  * - Analytics event tracking for button clicks
  * - Intersection Observer for performance optimization
  * - Program card interactions and keyboard navigation
- * - Contact form validation and submission handling
+ * - Validation and submission for every data-form form, each with its own endpoint, copy and analytics
+ * - Form submission retries with backoff, Retry-After, idempotency keys and server field errors
+ * - Offline form outbox (IndexedDB) delivered by Background Sync or on reconnect
+ * - Form draft autosave and restore, skipping fields marked data-sensitive
  * - Google Analytics 4 integration
+ * - Consent management with Google Consent Mode v2
+ * - Pluggable analytics adapters (GA4, GTM dataLayer, first-party beacon, console)
+ * - Batched, persistent analytics delivery queue with retry and offline support
  * - Performance monitoring and optimization
+ * - Core Web Vitals (LCP, CLS, INP, TTFB) field collection with attribution
+ * - Performance budgets with long-task and resource timing alerts
+ * - Module lifecycle registry with back/forward cache support
+ * - Leveled, namespaced logging with console, memory and beacon sinks
+ * - Client-side error monitoring with breadcrumbs, deduplication and rate limiting
+ * - In-page debug inspector (?debug=1 or Alt+Shift+D)
+ * - Persistent sessions with inactivity timeout and new/returning visitor tracking
+ * - Active engagement time (idle-aware) with per-section dwell time
+ * - Declarative data-track-* analytics tagging
+ * - Section view, time-in-view and read-through tracking with a per-page summary
+ * - Contact form funnel, field timing and abandonment analytics
+ * - First- and last-touch UTM/referrer attribution on events and form submissions
+ * - Config-driven A/B experiments with deterministic bucketing and ?variant= overrides
+ * - Analytics event schema registry and PII scrubbing of URLs and event payloads
+ * - Adaptive loading tiers from Save-Data, connection type and device memory
+ * - Declarative form validation rules (attributes or per-form JSON schema), with async and cross-field rules
  * 
  * @generated-from: task-id:TASK-002, task-id:735be9ca-de2a-4d3e-8d57-44ce50f6d27b, task-id:1bc3bb18-5c9a-4a4b-b31a-06119fdfedfe, task-id:43be3d0b-2e41-4124-8e7c-dc7e35364c64, task-id:f56120e7-fd00-4618-8b2b-e7175ce435e2
  * @modifies: hero-section interactions, programs-section interactions, contact-form interactions, analytics tracking, performance optimization
@@ -23,34 +45,163 @@
   // Configuration & Constants
   // ============================================
 
-  const CONFIG = Object.freeze({
+  const DEFAULT_CONFIG = Object.freeze({
     SCROLL_BEHAVIOR: 'smooth',
     SCROLL_OFFSET: 80,
     LAZY_LOAD_THRESHOLD: '50px',
     ANALYTICS_DEBOUNCE_MS: 300,
     INTERSECTION_THRESHOLD: 0.1,
     ERROR_LOG_PREFIX: '[Hero Section]',
+    // Console threshold: debug, info, warn, error or silent (overridable with ?debug=<level>)
+    LOG_LEVEL: 'warn',
+    LOG_BUFFER_SIZE: 200,
+    // Warnings and errors are POSTed here in batches when set
+    LOG_ENDPOINT: '',
+    LOG_BEACON_LEVEL: 'warn',
+    LOG_BEACON_BATCH_SIZE: 20,
+    // Error reports are POSTed here when set; otherwise they are only logged
+    ERROR_ENDPOINT: '',
+    ERROR_BREADCRUMB_LIMIT: 30,
+    ERROR_DEDUPE_WINDOW_MS: 60000,
+    ERROR_RATE_LIMIT_PER_MINUTE: 10,
+    ERROR_MAX_REPORTS_PER_PAGE: 25,
+    // Open state is kept in sessionStorage so the panel survives reloads while testing
+    DEBUG_PANEL_STORAGE_KEY: 'nychomeschool:debug-panel',
+    DEBUG_PANEL_EVENT_LIMIT: 200,
+    // Sessions live in localStorage so every tab shares one, as GA4's do
+    SESSION_STORAGE_KEY: 'nychomeschool:session',
+    VISITOR_STORAGE_KEY: 'nychomeschool:visitor',
+    SESSION_TIMEOUT_MINUTES: 30,
+    // Active engagement pauses after this long without scroll, pointer or key input
+    ENGAGEMENT_IDLE_TIMEOUT_MS: 30000,
+    // A section counts as in view when this share of it, or of the viewport, is visible
+    SECTION_VISIBLE_RATIO: 0.5,
+    ENGAGEMENT_MIN_DWELL_MS: 1000,
+    ATTRIBUTION_STORAGE_KEY: 'nychomeschool:attribution',
+    // First- and last-touch campaign data is forgotten after this many days
+    ATTRIBUTION_MAX_AGE_DAYS: 90,
+    EXPERIMENT_VISITOR_STORAGE_KEY: 'nychomeschool:experiment-visitor',
+    // Unsent form input is kept under this key plus ":<data-form name>" and
+    // restored for this long; fields marked data-sensitive are never saved
+    FORM_DRAFT_STORAGE_KEY: 'nychomeschool:form-draft',
+    FORM_DRAFT_MAX_AGE_HOURS: 72,
+    // Experiment id -> { enabled, traffic (0-1), variants: [{ id, weight, changes }] },
+    // where each change is { selector, text | html, attributes }
+    EXPERIMENTS: Object.freeze({}),
+    // Query parameters and event parameters whose values never reach analytics
+    PII_QUERY_PARAMS: Object.freeze([
+      'email', 'e-mail', 'mail', 'name', 'first_name', 'last_name', 'fname', 'lname',
+      'phone', 'tel', 'mobile', 'address', 'zip', 'postcode', 'dob', 'birthdate',
+      'child', 'child_name', 'student', 'token', 'password',
+    ]),
+    // Event name -> { param: type } for site-specific events such as data-track-event
+    // names, merged over the built-in schemas (see ANALYTICS_EVENT_SCHEMAS below)
+    ANALYTICS_EVENT_SCHEMAS: Object.freeze({}),
+    // "auto" picks full, reduced or lite from Save-Data, connection type and device
+    // memory; set a tier to force it
+    LOADING_TIER: 'auto',
     PROGRAM_CARD_FOCUS_CLASS: 'program-card--focused',
     PROGRAM_CARD_ACTIVE_CLASS: 'program-card--active',
     FORM_SUBMIT_TIMEOUT_MS: 10000,
+    // Network errors and 429 responses, plus 5xx responses and timeouts when the
+    // idempotency header is sent, are retried this many times, backing off from
+    // FORM_SUBMIT_RETRY_BASE_MS; a Retry-After longer than
+    // FORM_SUBMIT_MAX_RETRY_DELAY_MS gives up instead of waiting
+    FORM_SUBMIT_MAX_RETRIES: 2,
+    FORM_SUBMIT_RETRY_BASE_MS: 1000,
+    FORM_SUBMIT_MAX_RETRY_DELAY_MS: 15000,
+    // Header carrying the per-submission key that lets the endpoint drop duplicate
+    // retries. Sent only to same-origin endpoints and forms marked data-idempotency,
+    // since a custom header makes cross-origin requests need CORS approval. Empty
+    // to never send it
+    FORM_IDEMPOTENCY_HEADER: 'Idempotency-Key',
+    // Submissions made while the browser is offline are saved and sent later by
+    // this service worker (Background Sync) or on the next "online" event. Empty to
+    // skip the worker; saved submissions then go out only while a page is open
+    SERVICE_WORKER_URL: '/sw.js',
+    // Saved submissions older than this are dropped instead of sent
+    FORM_OUTBOX_MAX_AGE_DAYS: 7,
     GA_MEASUREMENT_ID: 'G-XXXXXXXXXX',
     PERFORMANCE_MARK_PREFIX: 'nychomeschool',
+    // An attempt still loading after this long counts as failed and is retried
     IMAGE_LOADING_TIMEOUT_MS: 10000,
+    // Failed image loads are retried this many times, backing off from IMAGE_RETRY_BASE_MS
+    IMAGE_MAX_RETRIES: 2,
+    IMAGE_RETRY_BASE_MS: 1000,
+    // Shown when an image has no data-fallback and every attempt failed
+    IMAGE_FALLBACK_SRC: "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 16 9'%3E%3Crect fill='%23e5e7eb' width='16' height='9'/%3E%3C/svg%3E",
+    GA_SCRIPT_URL: 'https://www.googletagmanager.com/gtag/js',
+    CONSENT_STORAGE_KEY: 'nychomeschool:consent',
+    CONSENT_VERSION: 1,
+    CONSENT_MAX_AGE_DAYS: 180,
+    CONSENT_QUEUE_LIMIT: 50,
+    // include/exclude: event name lists (null = no filter); eventNameMap: internal -> adapter name
+    ANALYTICS_ADAPTERS: Object.freeze({
+      ga4: Object.freeze({ enabled: true, include: null, exclude: null, eventNameMap: {} }),
+      gtm: Object.freeze({ enabled: false, include: null, exclude: null, eventNameMap: {} }),
+      beacon: Object.freeze({
+        enabled: false,
+        endpoint: '/api/collect',
+        include: null,
+        exclude: null,
+        eventNameMap: {},
+      }),
+      console: Object.freeze({ enabled: false, include: null, exclude: null, eventNameMap: {} }),
+    }),
+    EVENT_QUEUE_STORAGE_KEY: 'nychomeschool:event-queue',
+    EVENT_QUEUE_BATCH_SIZE: 10,
+    EVENT_QUEUE_FLUSH_INTERVAL_MS: 5000,
+    EVENT_QUEUE_MAX_SIZE: 200,
+    EVENT_QUEUE_MAX_ATTEMPTS: 5,
+    EVENT_QUEUE_RETRY_BASE_MS: 2000,
+    EVENT_QUEUE_RETRY_MAX_MS: 60000,
+    EVENT_QUEUE_MAX_AGE_MS: 24 * 60 * 60 * 1000,
+    WEB_VITALS_THRESHOLDS: Object.freeze({
+      lcp: Object.freeze([2500, 4000]),
+      cls: Object.freeze([0.1, 0.25]),
+      inp: Object.freeze([200, 500]),
+      ttfb: Object.freeze([800, 1800]),
+    }),
+    PERFORMANCE_BUDGETS: Object.freeze({
+      // Maximum duration in ms for PerformanceMonitor.measure() names
+      measures: Object.freeze({
+        'total-initialization': 50,
+        'image-load-hero-background': 1500,
+      }),
+      // Maximum transfer size in bytes per Resource Timing initiatorType
+      transferSize: Object.freeze({
+        img: 300 * 1024,
+        css: 75 * 1024,
+        script: 100 * 1024,
+        link: 75 * 1024,
+        fetch: 50 * 1024,
+      }),
+      resourceDurationMs: 1500,
+      longTaskMs: 100,
+      maxReportedEntries: 10,
+    }),
+    PERFORMANCE_BUDGET_VIOLATION_LIMIT: 100,
   });
 
-  const SELECTORS = Object.freeze({
-    HERO_SECTION: '.hero-section',
+  const DEFAULT_SELECTORS = Object.freeze({
     HERO_BACKGROUND: '.hero-background',
     CTA_BUTTONS: '.hero-cta-button',
     PRIMARY_CTA: '.hero-cta-button--primary',
     SECONDARY_CTA: '.hero-cta-button--secondary',
     PROGRAM_CARDS: '.program-card',
-    PROGRAMS_SECTION: '.programs-section',
-    CONTACT_FORM: '.contact-form',
+    FORMS: 'form[data-form]',
     FORM_GROUPS: '.form-group',
     FORM_SUBMIT_BUTTON: '.form-submit-button',
     FORM_ERROR: '.form-error',
-    LAZY_IMAGES: 'img[loading="lazy"]',
+    LAZY_IMAGES: 'img[data-src], img[data-srcset], picture > source[data-srcset]',
+    ENGAGEMENT_SECTIONS: '.hero-section, main > section, .program-card',
+    TRACKED_ELEMENTS: '[data-track-event]',
+    TRACKED_SECTIONS: 'section:not(.consent-banner), [data-analytics-section]',
+    CONSENT_BANNER: '.consent-banner',
+    CONSENT_DIALOG: '.consent-dialog',
+    CONSENT_ACTIONS: '[data-consent-action]',
+    CONSENT_CATEGORY_INPUTS: 'input[name="consent-category"]',
+    CONSENT_MANAGE: '[data-consent-manage]',
   });
 
   const ANALYTICS_EVENTS = Object.freeze({
@@ -64,17 +215,167 @@
     FORM_SUBMIT_START: 'contact_form_submit_start',
     FORM_SUBMIT_SUCCESS: 'contact_form_submit_success',
     FORM_SUBMIT_ERROR: 'contact_form_submit_error',
+    FORM_SUBMIT_QUEUED: 'contact_form_submit_queued',
     FORM_VALIDATION_ERROR: 'contact_form_validation_error',
+    FORM_START: 'contact_form_start',
+    FORM_FIELD_ERROR: 'contact_form_field_error',
+    FORM_FIELD_SUMMARY: 'contact_form_field_summary',
+    FORM_ABANDON: 'contact_form_abandon',
     PAGE_ENGAGEMENT: 'page_engagement',
+    SECTION_ENGAGEMENT: 'section_engagement',
+    SECTION_VIEW: 'section_view',
+    SECTION_SUMMARY: 'section_summary',
     SCROLL_DEPTH: 'scroll_depth',
     PERFORMANCE_METRIC: 'performance_metric',
     IMAGE_LOAD_ERROR: 'image_load_error',
+    PERFORMANCE_BUDGET_EXCEEDED: 'performance_budget_exceeded',
+    CONVERSION: 'conversion',
+    EXPERIMENT_EXPOSURE: 'experiment_exposure',
+  });
+
+  // Allowed parameters per event, checked in debug mode. Types are string, number,
+  // boolean, array or object (or a list of them); "*" in a name matches any characters.
+  // Enricher and adapter parameters (session, campaign, page) are added later and not listed.
+  const SECTION_VIEW_SCHEMA = Object.freeze({
+    section_name: 'string',
+    view_order: 'number',
+    first_view_ms: 'number',
+    viewportWidth: 'number',
+    viewportHeight: 'number',
+  });
+  const PROGRAM_CARD_SCHEMA = Object.freeze({
+    title: 'string',
+    description: 'string',
+    index: 'number',
+    timestamp: 'number',
+  });
+  const ANALYTICS_EVENT_SCHEMAS = Object.freeze({
+    [ANALYTICS_EVENTS.CTA_CLICK]: Object.freeze({
+      buttonText: 'string',
+      buttonHref: 'string',
+      buttonType: 'string',
+      timestamp: 'number',
+    }),
+    [ANALYTICS_EVENTS.HERO_VIEW]: SECTION_VIEW_SCHEMA,
+    [ANALYTICS_EVENTS.PROGRAMS_SECTION_VIEW]: SECTION_VIEW_SCHEMA,
+    [ANALYTICS_EVENTS.SECTION_VIEW]: SECTION_VIEW_SCHEMA,
+    [ANALYTICS_EVENTS.BACKGROUND_LOADED]: Object.freeze({ src: 'string', loadTime: 'number' }),
+    [ANALYTICS_EVENTS.PROGRAM_CARD_CLICK]: PROGRAM_CARD_SCHEMA,
+    [ANALYTICS_EVENTS.PROGRAM_CARD_HOVER]: PROGRAM_CARD_SCHEMA,
+    [ANALYTICS_EVENTS.PROGRAM_CARD_FOCUS]: PROGRAM_CARD_SCHEMA,
+    [ANALYTICS_EVENTS.FORM_SUBMIT_START]: Object.freeze({ form_name: 'string', timestamp: 'number' }),
+    [ANALYTICS_EVENTS.FORM_SUBMIT_SUCCESS]: Object.freeze({
+      form_name: 'string',
+      attempts: 'number',
+      submission_method: 'string',
+      timestamp: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_SUBMIT_ERROR]: Object.freeze({
+      form_name: 'string',
+      error: 'string',
+      error_type: 'string',
+      status: 'number',
+      attempts: 'number',
+      timestamp: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_SUBMIT_QUEUED]: Object.freeze({
+      form_name: 'string',
+      error_type: 'string',
+      timestamp: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_VALIDATION_ERROR]: Object.freeze({
+      form_name: 'string',
+      errors: 'array',
+      timestamp: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_START]: Object.freeze({ form_name: 'string', first_field: 'string' }),
+    [ANALYTICS_EVENTS.FORM_FIELD_ERROR]: Object.freeze({
+      form_name: 'string',
+      field_name: 'string',
+      error_type: 'string',
+      error_count: 'number',
+      time_since_start_ms: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_FIELD_SUMMARY]: Object.freeze({
+      form_name: 'string',
+      field_name: 'string',
+      outcome: 'string',
+      time_ms: 'number',
+      focus_count: 'number',
+      refocus_count: 'number',
+      correction_count: 'number',
+      error_count: 'number',
+    }),
+    [ANALYTICS_EVENTS.FORM_ABANDON]: Object.freeze({
+      form_name: 'string',
+      last_field: 'string',
+      fields_touched: 'number',
+      submit_attempts: 'number',
+      time_since_start_ms: 'number',
+    }),
+    [ANALYTICS_EVENTS.PAGE_ENGAGEMENT]: Object.freeze({
+      engagement_type: 'string',
+      engagement_time_msec: 'number',
+      total_engagement_time_msec: 'number',
+    }),
+    [ANALYTICS_EVENTS.SECTION_ENGAGEMENT]: Object.freeze({ section_name: 'string', dwell_time_msec: 'number' }),
+    [ANALYTICS_EVENTS.SECTION_SUMMARY]: Object.freeze({
+      summary_index: 'number',
+      sections_total: 'number',
+      sections_viewed: 'number',
+      section_order: 'string',
+      '*_time_ms': 'number',
+      '*_pct_seen': 'number',
+    }),
+    [ANALYTICS_EVENTS.SCROLL_DEPTH]: Object.freeze({ scroll_depth: 'number', scroll_percentage: 'number' }),
+    [ANALYTICS_EVENTS.PERFORMANCE_METRIC]: Object.freeze({
+      metric_type: 'string',
+      metric_name: 'string',
+      duration_ms: 'number',
+      start_mark: 'string',
+      end_mark: 'string',
+      domContentLoaded: 'number',
+      loadComplete: 'number',
+      domInteractive: 'number',
+      firstPaint: 'number',
+      firstContentfulPaint: 'number',
+      'lcp*': Object.freeze(['number', 'string']),
+      'cls*': Object.freeze(['number', 'string']),
+      'inp*': Object.freeze(['number', 'string']),
+      'ttfb*': Object.freeze(['number', 'string']),
+    }),
+    [ANALYTICS_EVENTS.IMAGE_LOAD_ERROR]: Object.freeze({
+      image: 'string',
+      src: 'string',
+      error: 'string',
+      timeout_ms: 'number',
+      attempts: 'number',
+    }),
+    [ANALYTICS_EVENTS.PERFORMANCE_BUDGET_EXCEEDED]: Object.freeze({
+      budget_type: 'string',
+      entry_count: 'number',
+      worst_entry_name: 'string',
+      worst_entry_value: 'number',
+      worst_entry_budget: 'number',
+      offending_entries: 'string',
+    }),
+    [ANALYTICS_EVENTS.CONVERSION]: Object.freeze({
+      conversion_name: 'string',
+      form_name: 'string',
+      submission_method: 'string',
+    }),
+    [ANALYTICS_EVENTS.EXPERIMENT_EXPOSURE]: Object.freeze({
+      experiment_id: 'string',
+      variant_id: 'string',
+      forced: 'boolean',
+    }),
   });
 
   const VALIDATION_PATTERNS = Object.freeze({
     EMAIL: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     PHONE: /^[\d\s\-+()]+$/,
     NAME: /^[a-zA-Z\s'-]{2,}$/,
+    ZIP: /^\d{5}(?:-\d{4})?$/,
   });
 
   const ERROR_MESSAGES = Object.freeze({
@@ -82,1526 +383,8700 @@
     INVALID_EMAIL: 'Please enter a valid email address',
     INVALID_PHONE: 'Please enter a valid phone number',
     INVALID_NAME: 'Please enter a valid name (at least 2 characters)',
-    MESSAGE_TOO_SHORT: 'Message must be at least 10 characters',
+    INVALID_ZIP: 'Please enter a valid ZIP code',
+    INVALID_FORMAT: 'Please match the requested format',
     SUBMISSION_FAILED: 'Failed to send message. Please try again.',
+    SUBMISSION_SUCCESS: 'Thank you! Your message has been sent successfully. We\'ll get back to you soon.',
+    SUBMISSION_INVALID: 'Please correct the highlighted fields and try again.',
+    SUBMISSION_TIMEOUT: 'The server took too long to respond, so your message may still have arrived. Please wait a few minutes before sending it again.',
+    SUBMISSION_RATE_LIMITED: 'Too many messages were sent in a short time. Please wait a minute and try again.',
+    SUBMISSION_SERVER_ERROR: 'Our server is having trouble right now. Please try again in a few minutes.',
     NETWORK_ERROR: 'Network error. Please check your connection and try again.',
+    SUBMISSION_QUEUED: 'You appear to be offline, so we saved your message. It will be sent automatically once you are back online.',
+    OUTBOX_PENDING: 'Your saved message is waiting for a connection and will be sent automatically.',
+    OUTBOX_DELIVERED: 'Your saved message has been sent. We\'ll get back to you soon.',
+    DRAFT_RESTORED: 'We restored your draft.',
   });
 
   // ============================================
-  // Utility Functions
+  // Runtime Configuration
   // ============================================
 
   /**
-   * Logs structured messages with context
-   * @param {string} level - Log level (info, warn, error)
-   * @param {string} message - Log message
-   * @param {Object} context - Additional context
+   * Merges deployment configuration over the defaults.
+   *
+   * Sources, later ones winning:
+   * 1. DEFAULT_CONFIG / DEFAULT_SELECTORS
+   * 2. <script type="application/json" id="site-config"> using the same keys, plus an
+   *    optional "SELECTORS" object
+   * 3. data-* attributes on this script tag, e.g. data-ga-measurement-id="G-ABC123"
+   *    (object values are given as JSON)
+   *
+   * Unknown keys and values of the wrong type are rejected and reported; the default is kept.
    */
-  function log(level, message, context = {}) {
-    const timestamp = new Date().toISOString();
-    const logEntry = {
-      timestamp,
-      level,
-      message: `${CONFIG.ERROR_LOG_PREFIX} ${message}`,
-      ...context,
-    };
+  const RuntimeConfig = (function createRuntimeConfigModule() {
+    const CONFIG_ELEMENT_ID = 'site-config';
+    // Objects whose keys are free-form rather than fixed by the defaults
+    const OPEN_MAP_PATHS = Object.freeze([
+      'ANALYTICS_EVENT_SCHEMAS',
+      'EXPERIMENTS',
+      'PERFORMANCE_BUDGETS.measures',
+      'PERFORMANCE_BUDGETS.transferSize',
+    ]);
+    const LOG_LEVEL_NAMES = Object.freeze(['debug', 'info', 'warn', 'error', 'silent']);
+    const VALUE_VALIDATORS = Object.freeze({
+      LOG_LEVEL: (value) => LOG_LEVEL_NAMES.includes(value) || `must be one of ${LOG_LEVEL_NAMES.join(', ')}`,
+      LOG_BEACON_LEVEL: (value) =>
+        LOG_LEVEL_NAMES.includes(value) || `must be one of ${LOG_LEVEL_NAMES.join(', ')}`,
+      GA_MEASUREMENT_ID: (value) => /^G-[A-Z0-9]+$/.test(value) || 'must look like "G-XXXXXXXXXX"',
+      LOADING_TIER: (value) =>
+        ['auto', 'full', 'reduced', 'lite'].includes(value) || 'must be "auto", "full", "reduced" or "lite"',
+      SCROLL_BEHAVIOR: (value) => ['auto', 'smooth'].includes(value) || 'must be "auto" or "smooth"',
+      INTERSECTION_THRESHOLD: (value) => (value >= 0 && value <= 1) || 'must be between 0 and 1',
+      FORM_SUBMIT_MAX_RETRIES: (value) => (Number.isInteger(value) && value >= 0) || 'must be a whole number, 0 or more',
+    });
+    const errors = [];
+    const sources = [];
 
-    if (level === 'error') {
-      console.error(logEntry);
-    } else if (level === 'warn') {
-      console.warn(logEntry);
-    } else {
-      console.log(logEntry);
+    /**
+     * Checks for a plain (non-array) object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for plain objects
+     */
+    function isPlainObject(value) {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
     }
-  }
-
-  /**
-   * Creates a debounced version of a function
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Debounce delay in milliseconds
-   * @returns {Function} Debounced function
-   */
-  function debounce(func, wait) {
-    let timeoutId = null;
-
-    return function debounced(...args) {
-      const context = this;
 
-      if (timeoutId !== null) {
-        clearTimeout(timeoutId);
+    /**
+     * Computes the edit distance between two strings, used for "did you mean" hints
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Levenshtein distance
+     */
+    function editDistance(a, b) {
+      const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+      for (let i = 1; i <= a.length; i += 1) {
+        let previous = row[0];
+        row[0] = i;
+
+        for (let j = 1; j <= b.length; j += 1) {
+          const current = row[j];
+          row[j] = Math.min(
+            row[j] + 1,
+            row[j - 1] + 1,
+            previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+          );
+          previous = current;
+        }
       }
 
-      timeoutId = setTimeout(() => {
-        timeoutId = null;
-        func.apply(context, args);
-      }, wait);
-    };
-  }
-
-  /**
-   * Safely queries a single DOM element
-   * @param {string} selector - CSS selector
-   * @param {Element} context - Context element (default: document)
-   * @returns {Element|null} Found element or null
-   */
-  function querySelector(selector, context = document) {
-    try {
-      return context.querySelector(selector);
-    } catch (error) {
-      log('error', `Invalid selector: ${selector}`, { error: error.message });
-      return null;
-    }
-  }
-
-  /**
-   * Safely queries multiple DOM elements
-   * @param {string} selector - CSS selector
-   * @param {Element} context - Context element (default: document)
-   * @returns {Element[]} Array of found elements
-   */
-  function querySelectorAll(selector, context = document) {
-    try {
-      return Array.from(context.querySelectorAll(selector));
-    } catch (error) {
-      log('error', `Invalid selector: ${selector}`, { error: error.message });
-      return [];
+      return row[b.length];
     }
-  }
 
-  // ============================================
-  // Performance Monitoring Module
-  // ============================================
+    /**
+     * Builds an "unknown key" error with the closest known key as a suggestion
+     * @param {string} path - Full key path
+     * @param {string} key - Unknown key
+     * @param {string[]} knownKeys - Valid keys at this level
+     * @param {string} source - Configuration source
+     * @returns {string} Error message
+     */
+    function unknownKeyError(path, key, knownKeys, source) {
+      const suggestion = knownKeys
+        .map((knownKey) => ({ knownKey, distance: editDistance(key.toUpperCase(), knownKey.toUpperCase()) }))
+        .sort((a, b) => a.distance - b.distance)[0];
 
-  const PerformanceMonitor = (function createPerformanceMonitorModule() {
-    const marks = new Map();
-    const measures = new Map();
+      const hint = suggestion && suggestion.distance <= 3 ? ` Did you mean "${suggestion.knownKey}"?` : '';
+      return `Unknown config key "${path}" in ${source}.${hint}`;
+    }
 
     /**
-     * Checks if Performance API is available
-     * @returns {boolean} True if Performance API is available
+     * Describes a value's type for error messages
+     * @param {*} value - Value
+     * @returns {string} Type name
      */
-    function isAvailable() {
-      return typeof window.performance !== 'undefined' &&
-             typeof window.performance.mark === 'function' &&
-             typeof window.performance.measure === 'function';
+    function describeType(value) {
+      if (value === null) {
+        return 'null';
+      }
+      return Array.isArray(value) ? 'array' : typeof value;
     }
 
     /**
-     * Creates a performance mark
-     * @param {string} name - Mark name
+     * Checks an override against the type of its default
+     * @param {*} defaultValue - Default value
+     * @param {*} value - Override value
+     * @returns {boolean} True if the types are compatible
      */
-    function mark(name) {
-      if (!isAvailable()) {
-        return;
+    function hasCompatibleType(defaultValue, value) {
+      if (defaultValue === null) {
+        return value === null || Array.isArray(value);
       }
-
-      try {
-        const markName = `${CONFIG.PERFORMANCE_MARK_PREFIX}:${name}`;
-        window.performance.mark(markName);
-        marks.set(name, markName);
-        log('info', `Performance mark created: ${name}`);
-      } catch (error) {
-        log('error', 'Failed to create performance mark', {
-          name,
-          error: error.message,
-        });
+      if (Array.isArray(defaultValue)) {
+        return Array.isArray(value);
+      }
+      if (typeof defaultValue === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
       }
+      return describeType(defaultValue) === describeType(value);
     }
 
     /**
-     * Measures performance between two marks
-     * @param {string} name - Measure name
-     * @param {string} startMark - Start mark name
-     * @param {string} endMark - End mark name (optional)
-     * @returns {number|null} Duration in milliseconds
+     * Recursively merges overrides into defaults, validating keys and types
+     * @param {Object} defaults - Default values
+     * @param {Object} overrides - Override values
+     * @param {string} source - Configuration source
+     * @param {string} parentPath - Key path of the current level
+     * @returns {Object} Merged values
      */
-    function measure(name, startMark, endMark) {
-      if (!isAvailable()) {
-        return null;
-      }
+    function mergeValidated(defaults, overrides, source, parentPath = '') {
+      const merged = { ...defaults };
+      const isOpenMap = OPEN_MAP_PATHS.includes(parentPath) || parentPath.endsWith('.eventNameMap');
+
+      Object.entries(overrides).forEach(([key, value]) => {
+        const path = parentPath ? `${parentPath}.${key}` : key;
+
+        if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+          if (isOpenMap) {
+            merged[key] = value;
+          } else {
+            errors.push(unknownKeyError(path, key, Object.keys(defaults), source));
+          }
+          return;
+        }
 
-      try {
-        const measureName = `${CONFIG.PERFORMANCE_MARK_PREFIX}:${name}`;
-        const startMarkName = marks.get(startMark);
-        const endMarkName = endMark ? marks.get(endMark) : undefined;
+        const defaultValue = defaults[key];
 
-        if (!startMarkName) {
-          log('warn', `Start mark not found: ${startMark}`);
-          return null;
+        if (!hasCompatibleType(defaultValue, value)) {
+          errors.push(
+            `Invalid type for config key "${path}" in ${source}: expected ${describeType(defaultValue)}, got ${describeType(value)}.`
+          );
+          return;
         }
 
-        window.performance.measure(measureName, startMarkName, endMarkName);
-        const entry = window.performance.getEntriesByName(measureName)[0];
-        
-        if (entry) {
-          measures.set(name, entry.duration);
-          log('info', `Performance measured: ${name}`, {
-            duration: entry.duration,
-            startMark,
-            endMark,
-          });
+        const validator = parentPath ? null : VALUE_VALIDATORS[key];
+        const validation = validator ? validator(value) : true;
+        if (validation !== true) {
+          errors.push(`Invalid value for config key "${path}" in ${source}: ${validation}.`);
+          return;
+        }
 
-          // Track performance metric in analytics
-          Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
-            metric_name: name,
-            duration_ms: entry.duration,
-            start_mark: startMark,
-            end_mark: endMark,
-          });
+        merged[key] = isPlainObject(defaultValue)
+          ? mergeValidated(defaultValue, value, source, path)
+          : value;
+      });
 
-          return entry.duration;
-        }
+      return merged;
+    }
 
-        return null;
-      } catch (error) {
-        log('error', 'Failed to measure performance', {
-          name,
-          startMark,
-          endMark,
-          error: error.message,
-        });
-        return null;
+    /**
+     * Recursively freezes a configuration object
+     * @param {Object} value - Object to freeze
+     * @returns {Object} Frozen object
+     */
+    function deepFreeze(value) {
+      if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
       }
+      return value;
     }
 
     /**
-     * Gets Core Web Vitals metrics
-     * @returns {Object} Core Web Vitals data
+     * Reads the JSON configuration block
+     * @returns {Object} Parsed configuration (empty when absent or invalid)
      */
-    function getCoreWebVitals() {
-      if (!isAvailable()) {
+    function readJSONConfig() {
+      const element = document.getElementById(CONFIG_ELEMENT_ID);
+      if (!element) {
         return {};
       }
 
-      const vitals = {};
+      const source = `#${CONFIG_ELEMENT_ID}`;
 
       try {
-        // Get navigation timing
-        const navigation = window.performance.getEntriesByType('navigation')[0];
-        if (navigation) {
-          vitals.domContentLoaded = navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart;
-          vitals.loadComplete = navigation.loadEventEnd - navigation.loadEventStart;
-          vitals.domInteractive = navigation.domInteractive - navigation.fetchStart;
+        const parsed = JSON.parse(element.textContent || '{}');
+        if (!isPlainObject(parsed)) {
+          errors.push(`${source} must contain a JSON object.`);
+          return {};
         }
+        sources.push(source);
+        return parsed;
+      } catch (error) {
+        errors.push(`${source} is not valid JSON: ${error.message}`);
+        return {};
+      }
+    }
 
-        // Get paint timing
-        const paintEntries = window.performance.getEntriesByType('paint');
-        paintEntries.forEach((entry) => {
-          if (entry.name === 'first-paint') {
-            vitals.firstPaint = entry.startTime;
-          } else if (entry.name === 'first-contentful-paint') {
-            vitals.firstContentfulPaint = entry.startTime;
-          }
-        });
+    /**
+     * Converts a dataset key such as "gaMeasurementId" into "GA_MEASUREMENT_ID"
+     * @param {string} datasetKey - camelCase dataset key
+     * @returns {string} Config key
+     */
+    function toConfigKey(datasetKey) {
+      return datasetKey.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase();
+    }
 
-        log('info', 'Core Web Vitals collected', vitals);
-      } catch (error) {
-        log('error', 'Failed to collect Core Web Vitals', {
-          error: error.message,
-        });
+    /**
+     * Converts a data-* attribute string into the type of its default value
+     * @param {string} key - Config key
+     * @param {string} rawValue - Attribute value
+     * @returns {*} Coerced value (left as a string if it cannot be coerced)
+     */
+    function coerceAttributeValue(key, rawValue) {
+      const defaultValue = DEFAULT_CONFIG[key];
+
+      if (typeof defaultValue === 'number') {
+        const number = Number(rawValue);
+        return rawValue.trim() !== '' && Number.isFinite(number) ? number : rawValue;
       }
 
-      return vitals;
+      if (typeof defaultValue === 'boolean') {
+        if (rawValue === 'true' || rawValue === '') return true;
+        if (rawValue === 'false') return false;
+        return rawValue;
+      }
+
+      if (defaultValue === null || typeof defaultValue === 'object') {
+        try {
+          return JSON.parse(rawValue);
+        } catch (error) {
+          return rawValue;
+        }
+      }
+
+      return rawValue;
     }
 
     /**
-     * Reports performance metrics
+     * Reads data-* attributes from the executing script tag
+     * @returns {Object} Configuration overrides
      */
-    function reportMetrics() {
-      const vitals = getCoreWebVitals();
-      
-      if (Object.keys(vitals).length > 0) {
-        Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
-          metric_type: 'core_web_vitals',
-          ...vitals,
-        });
+    function readAttributeConfig() {
+      const script = document.currentScript;
+      if (!script || !script.dataset) {
+        return {};
       }
 
-      // Report custom measures
-      measures.forEach((duration, name) => {
-        Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
-          metric_type: 'custom_measure',
-          metric_name: name,
-          duration_ms: duration,
-        });
+      const overrides = {};
+      Object.entries(script.dataset).forEach(([datasetKey, rawValue]) => {
+        const key = toConfigKey(datasetKey);
+        overrides[key] = coerceAttributeValue(key, rawValue);
       });
+
+      if (Object.keys(overrides).length > 0) {
+        sources.push('script data-* attributes');
+      }
+
+      return overrides;
+    }
+
+    const jsonConfig = readJSONConfig();
+    const { SELECTORS: selectorOverrides = {}, ...jsonValues } = jsonConfig;
+
+    let config = mergeValidated(DEFAULT_CONFIG, jsonValues, `#${CONFIG_ELEMENT_ID}`);
+    config = mergeValidated(config, readAttributeConfig(), 'script data-* attributes');
+
+    const selectors = isPlainObject(selectorOverrides)
+      ? mergeValidated(DEFAULT_SELECTORS, selectorOverrides, `#${CONFIG_ELEMENT_ID} SELECTORS`, 'SELECTORS')
+      : DEFAULT_SELECTORS;
+
+    if (!isPlainObject(selectorOverrides)) {
+      errors.push(`"SELECTORS" in #${CONFIG_ELEMENT_ID} must be an object.`);
     }
 
     return Object.freeze({
-      mark,
-      measure,
-      getCoreWebVitals,
-      reportMetrics,
-      isAvailable,
+      config: deepFreeze(config),
+      selectors: deepFreeze(selectors),
+      errors: Object.freeze([...errors]),
+      sources: Object.freeze([...sources]),
     });
   })();
 
+  const CONFIG = RuntimeConfig.config;
+  const SELECTORS = RuntimeConfig.selectors;
+
   // ============================================
-  // Google Analytics 4 Module
+  // Utility Functions
   // ============================================
 
-  const GoogleAnalytics = (function createGoogleAnalyticsModule() {
-    let isInitialized = false;
-    let sessionStartTime = Date.now();
-    let scrollDepthTracked = new Set();
+  const LOG_LEVELS = Object.freeze({
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100,
+  });
 
-    /**
-     * Checks if Google Analytics is available
-     * @returns {boolean} True if GA is available
-     */
-    function isAvailable() {
-      return typeof window.gtag === 'function' && typeof window.dataLayer !== 'undefined';
+  // ============================================
+  // Logging Module
+  // ============================================
+
+  /**
+   * Reads the ?debug= query parameter
+   * @returns {string|null} Parameter value ("" when present without a value), or null
+   */
+  function getDebugParam() {
+    try {
+      return new URLSearchParams(window.location.search).get('debug');
+    } catch (error) {
+      return null;
     }
+  }
+
+  const Logger = (function createLoggerModule() {
+    const buffer = [];
+    const sinks = new Map();
+    let threshold = resolveThreshold();
 
     /**
-     * Initializes Google Analytics 4
+     * Resolves the console threshold from ?debug= or configuration
+     *
+     * ?debug=1 (or true) enables debug output; ?debug=<level> selects a level.
+     *
+     * @returns {string} Level name
      */
-    function initialize() {
-      if (isInitialized) {
-        log('warn', 'Google Analytics already initialized');
-        return;
-      }
+    function resolveThreshold() {
+      const debugParam = getDebugParam();
 
-      if (!isAvailable()) {
-        log('warn', 'Google Analytics not available - gtag function not found');
-        return;
+      if (debugParam === '1' || debugParam === 'true' || debugParam === '') {
+        return 'debug';
+      }
+      if (debugParam && Object.prototype.hasOwnProperty.call(LOG_LEVELS, debugParam)) {
+        return debugParam;
       }
 
-      try {
-        // Set up enhanced measurement
-        window.gtag('config', CONFIG.GA_MEASUREMENT_ID, {
-          send_page_view: true,
-          page_title: document.title,
-          page_location: window.location.href,
-          page_path: window.location.pathname,
-        });
-
-        // Track session start
-        trackEvent('session_start', {
-          session_id: generateSessionId(),
-          engagement_time_msec: 0,
-        });
+      return CONFIG.LOG_LEVEL;
+    }
 
-        // Set up scroll depth tracking
-        initializeScrollDepthTracking();
+    /**
+     * Checks whether a level meets a minimum level
+     * @param {string} level - Entry level
+     * @param {string} minimumLevel - Minimum level
+     * @returns {boolean} True if the entry should be written
+     */
+    function meetsLevel(level, minimumLevel) {
+      return (LOG_LEVELS[level] || LOG_LEVELS.info) >= LOG_LEVELS[minimumLevel];
+    }
+
+    /**
+     * Console sink - writes entries at or above the current threshold
+     * @returns {Object} Sink
+     */
+    function createConsoleSink() {
+      return {
+        write(entry) {
+          if (!meetsLevel(entry.level, threshold)) {
+            return;
+          }
+
+          const output = {
+            timestamp: entry.timestamp,
+            level: entry.level,
+            message: `${CONFIG.ERROR_LOG_PREFIX}[${entry.namespace}] ${entry.message}`,
+            ...entry.context,
+          };
+
+          if (entry.level === 'error') {
+            console.error(output);
+          } else if (entry.level === 'warn') {
+            console.warn(output);
+          } else if (entry.level === 'debug') {
+            console.debug(output);
+          } else {
+            console.log(output);
+          }
+        },
+      };
+    }
+
+    /**
+     * Beacon sink - batches entries and POSTs them to a log endpoint
+     * @param {Object} options - Sink options
+     * @param {string} options.endpoint - Log collector URL
+     * @param {string} options.level - Minimum level shipped
+     * @param {number} options.batchSize - Entries per request
+     * @returns {Object} Sink
+     */
+    function createBeaconSink({ endpoint, level, batchSize }) {
+      const pending = [];
+      let flushTimeoutId = null;
+      let isListening = false;
+
+      /**
+       * Redacts personal data from an entry, as analytics payloads are
+       * @param {Object} entry - Log entry
+       * @returns {Object} Scrubbed copy
+       */
+      function scrubEntry(entry) {
+        return {
+          ...entry,
+          message: PIIScrubber.scrubText(entry.message),
+          context: PIIScrubber.scrubParams(entry.context || {}),
+        };
+      }
+
+      /**
+       * Sends pending entries, preferring sendBeacon so delivery survives page hide
+       */
+      function flush() {
+        clearTimeout(flushTimeoutId);
+        flushTimeoutId = null;
+
+        if (pending.length === 0) {
+          return;
+        }
+
+        postJSON(endpoint, {
+          page_path: window.location.pathname,
+          user_agent: navigator.userAgent,
+          entries: pending.splice(0, pending.length).map(scrubEntry),
+        });
+      }
+
+      return {
+        write(entry) {
+          if (!meetsLevel(entry.level, level)) {
+            return;
+          }
+
+          pending.push(entry);
+
+          if (!isListening) {
+            window.addEventListener('pagehide', flush);
+            isListening = true;
+          }
+
+          if (pending.length >= batchSize) {
+            flush();
+          } else if (flushTimeoutId === null) {
+            flushTimeoutId = setTimeout(flush, 5000);
+          }
+        },
+        flush,
+      };
+    }
+
+    /**
+     * Memory sink - keeps the most recent entries in a ring buffer
+     * @returns {Object} Sink
+     */
+    function createMemorySink() {
+      return {
+        write(entry) {
+          buffer.push(entry);
+          if (buffer.length > CONFIG.LOG_BUFFER_SIZE) {
+            buffer.shift();
+          }
+        },
+      };
+    }
+
+    /**
+     * Adds or replaces a sink
+     * @param {string} name - Sink name
+     * @param {Object} sink - Object with a write(entry) method
+     */
+    function addSink(name, sink) {
+      if (!sink || typeof sink.write !== 'function') {
+        return;
+      }
+      sinks.set(name, sink);
+    }
+
+    /**
+     * Removes a sink
+     * @param {string} name - Sink name
+     */
+    function removeSink(name) {
+      sinks.delete(name);
+    }
+
+    /**
+     * Writes an entry to every sink
+     * @param {string} level - Log level (debug, info, warn, error)
+     * @param {string} namespace - Module namespace
+     * @param {string} message - Log message
+     * @param {Object} context - Additional context
+     */
+    function write(level, namespace, message, context = {}) {
+      const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        namespace,
+        message,
+        context,
+      };
+
+      sinks.forEach((sink) => {
+        try {
+          sink.write(entry);
+        } catch (error) {
+          // A failing sink must not break the caller or the other sinks
+        }
+      });
+    }
+
+    /**
+     * Returns recent entries from the ring buffer
+     * @param {Object} filter - Optional filter
+     * @param {string} filter.level - Minimum level
+     * @param {string} filter.namespace - Namespace to match
+     * @returns {Object[]} Entries, oldest first
+     */
+    function getEntries({ level = 'debug', namespace } = {}) {
+      return buffer.filter(
+        (entry) => meetsLevel(entry.level, level) && (!namespace || entry.namespace === namespace)
+      );
+    }
+
+    /**
+     * Changes the console threshold at runtime
+     * @param {string} level - Level name
+     */
+    function setLevel(level) {
+      if (Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+        threshold = level;
+      }
+    }
+
+    /**
+     * Returns the console threshold
+     * @returns {string} Level name
+     */
+    function getLevel() {
+      return threshold;
+    }
+
+    addSink('memory', createMemorySink());
+    addSink('console', createConsoleSink());
+    if (CONFIG.LOG_ENDPOINT) {
+      addSink('beacon', createBeaconSink({
+        endpoint: CONFIG.LOG_ENDPOINT,
+        level: CONFIG.LOG_BEACON_LEVEL,
+        batchSize: CONFIG.LOG_BEACON_BATCH_SIZE,
+      }));
+    }
+
+    return Object.freeze({
+      write,
+      addSink,
+      removeSink,
+      getEntries,
+      setLevel,
+      getLevel,
+    });
+  })();
+
+  /**
+   * Logs structured messages with context under the "core" namespace
+   * @param {string} level - Log level (debug, info, warn, error)
+   * @param {string} message - Log message
+   * @param {Object} context - Additional context
+   */
+  function log(level, message, context = {}) {
+    Logger.write(level, 'core', message, context);
+  }
+
+  /**
+   * Creates a logger bound to a module namespace
+   * @param {string} namespace - Module name shown with every entry
+   * @returns {Object} Logger with debug, info, warn and error methods
+   */
+  function createLogger(namespace) {
+    return Object.freeze({
+      debug: (message, context) => Logger.write('debug', namespace, message, context),
+      info: (message, context) => Logger.write('info', namespace, message, context),
+      warn: (message, context) => Logger.write('warn', namespace, message, context),
+      error: (message, context) => Logger.write('error', namespace, message, context),
+    });
+  }
+
+  /**
+   * POSTs a JSON payload, preferring sendBeacon so delivery survives page hide
+   *
+   * Never throws; used by diagnostics that must not fail their caller.
+   *
+   * @param {string} endpoint - Collector URL
+   * @param {Object} payload - JSON-serializable payload
+   */
+  function postJSON(endpoint, payload) {
+    try {
+      const body = JSON.stringify(payload);
+      const queued = typeof navigator.sendBeacon === 'function' &&
+        navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+
+      if (!queued) {
+        fetch(endpoint, {
+          method: 'POST',
+          body,
+          headers: { 'Content-Type': 'application/json' },
+          keepalive: true,
+          credentials: 'omit',
+        }).catch(() => {});
+      }
+    } catch (error) {
+      // Diagnostics delivery must never throw into the caller
+    }
+  }
+
+  /**
+   * Creates a debounced version of a function
+   * @param {Function} func - Function to debounce
+   * @param {number} wait - Debounce delay in milliseconds
+   * @returns {Function} Debounced function
+   */
+  function debounce(func, wait) {
+    let timeoutId = null;
+
+    return function debounced(...args) {
+      const context = this;
+
+      if (timeoutId !== null) {
+        clearTimeout(timeoutId);
+      }
+
+      timeoutId = setTimeout(() => {
+        timeoutId = null;
+        func.apply(context, args);
+      }, wait);
+    };
+  }
+
+  /**
+   * Safely queries a single DOM element
+   * @param {string} selector - CSS selector
+   * @param {Element} context - Context element (default: document)
+   * @returns {Element|null} Found element or null
+   */
+  function querySelector(selector, context = document) {
+    try {
+      return context.querySelector(selector);
+    } catch (error) {
+      log('error', `Invalid selector: ${selector}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Safely queries multiple DOM elements
+   * @param {string} selector - CSS selector
+   * @param {Element} context - Context element (default: document)
+   * @returns {Element[]} Array of found elements
+   */
+  function querySelectorAll(selector, context = document) {
+    try {
+      return Array.from(context.querySelectorAll(selector));
+    } catch (error) {
+      log('error', `Invalid selector: ${selector}`, { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Reads and parses a JSON value from Web Storage
+   * @param {string} key - Storage key
+   * @param {Storage} storage - Storage area (default: localStorage)
+   * @returns {*} Parsed value or null when missing, unreadable or blocked
+   */
+  function readStoredJSON(key, storage = window.localStorage) {
+    try {
+      const rawValue = storage.getItem(key);
+      return rawValue === null ? null : JSON.parse(rawValue);
+    } catch (error) {
+      log('warn', `Unable to read stored value: ${key}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Serializes a value into Web Storage
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-serializable value
+   * @param {Storage} storage - Storage area (default: localStorage)
+   * @returns {boolean} True if the value was stored
+   */
+  function writeStoredJSON(key, value, storage = window.localStorage) {
+    try {
+      storage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      log('warn', `Unable to persist value: ${key}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Removes a value from Web Storage
+   * @param {string} key - Storage key
+   * @param {Storage} storage - Storage area (default: localStorage)
+   */
+  function removeStoredItem(key, storage = window.localStorage) {
+    try {
+      storage.removeItem(key);
+    } catch (error) {
+      log('warn', `Unable to remove stored value: ${key}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Hashes a string to an unsigned 32-bit integer (FNV-1a with a murmur3 finalizer)
+   *
+   * Stable across page loads and well distributed, so it serves both as an error
+   * fingerprint and for experiment bucketing.
+   *
+   * @param {string} value - Input
+   * @returns {number} Unsigned 32-bit hash
+   */
+  function hashString(value) {
+    let hash = 0x811c9dc5;
+
+    for (let index = 0; index < value.length; index += 1) {
+      hash ^= value.charCodeAt(index);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+
+    return hash >>> 0;
+  }
+
+  const SECTION_VISIBILITY_THRESHOLDS = Object.freeze([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+
+  /**
+   * Derives a readable section name
+   *
+   * Uses data-analytics-section, then id, then the heading referenced by
+   * aria-labelledby without its "-title"/"-headline" suffix.
+   *
+   * @param {Element} element - Section element
+   * @returns {string} Section name
+   */
+  function getSectionName(element) {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').split(' ')[0];
+
+    return element.dataset.analyticsSection ||
+      element.id ||
+      labelledBy.replace(/-(title|headline)$/, '') ||
+      describeElement(element);
+  }
+
+  /**
+   * Checks whether an observed section counts as in view
+   *
+   * A section is in view when most of it is visible, or when it fills most of
+   * the viewport (sections taller than the screen never reach a high ratio).
+   *
+   * @param {IntersectionObserverEntry} entry - Intersection entry
+   * @returns {boolean} True if the section is in view
+   */
+  function isSectionInView(entry) {
+    const viewportHeight = entry.rootBounds ? entry.rootBounds.height : window.innerHeight;
+    const coverage = viewportHeight > 0 ? entry.intersectionRect.height / viewportHeight : 0;
+    const threshold = CONFIG.SECTION_VISIBLE_RATIO;
+
+    return entry.isIntersecting && (entry.intersectionRatio >= threshold || coverage >= threshold);
+  }
+
+  /**
+   * Builds a short, non-identifying CSS-like description of an element
+   * @param {Element|null} element - Element to describe
+   * @returns {string} Description such as "img.hero-background" or "section#contact"
+   */
+  function describeElement(element) {
+    if (!element || element.nodeType !== 1) {
+      return '';
+    }
+
+    const tagName = element.tagName.toLowerCase();
+
+    if (element.id) {
+      return `${tagName}#${element.id}`;
+    }
+
+    const classNames = Array.from(element.classList).slice(0, 2);
+    return classNames.length > 0 ? `${tagName}.${classNames.join('.')}` : tagName;
+  }
+
+  RuntimeConfig.errors.forEach((message) => {
+    log('error', `Configuration error: ${message}`);
+  });
+
+  if (CONFIG.GA_MEASUREMENT_ID === DEFAULT_CONFIG.GA_MEASUREMENT_ID) {
+    log('warn', 'GA_MEASUREMENT_ID is still the placeholder - set it in #site-config');
+  }
+
+  // ============================================
+  // Error Monitoring Module
+  // ============================================
+
+  const ErrorMonitor = (function createErrorMonitorModule() {
+    const logger = createLogger('ErrorMonitor');
+    const MAX_STACK_LENGTH = 4000;
+    const IGNORED_MESSAGES = Object.freeze(['Script error.', 'Script error']);
+    const IGNORED_SOURCE_PATTERN = /^(chrome|moz|safari(-web)?)-extension:/;
+    const breadcrumbs = [];
+    const fingerprints = new Map();
+    const sentTimestamps = [];
+    let reportCount = 0;
+    let unsubscribeAnalytics = null;
+    let isInitialized = false;
+
+    /**
+     * Appends a breadcrumb, dropping the oldest once the trail is full
+     * @param {string} category - Breadcrumb category ("log", "analytics", ...)
+     * @param {string} message - Short description
+     * @param {Object} data - Optional non-identifying details
+     */
+    function addBreadcrumb(category, message, data = {}) {
+      breadcrumbs.push({
+        timestamp: new Date().toISOString(),
+        category,
+        message,
+        ...data,
+      });
+
+      if (breadcrumbs.length > CONFIG.ERROR_BREADCRUMB_LIMIT) {
+        breadcrumbs.shift();
+      }
+    }
+
+    /**
+     * Builds a stable fingerprint so repeats of one error collapse together
+     *
+     * Digits are masked so messages that embed ids, counts or timings match.
+     *
+     * @param {Object} report - Error report
+     * @returns {string} Fingerprint
+     */
+    function fingerprint(report) {
+      const topFrame = (report.stack || '')
+        .split('\n')
+        .map((line) => line.trim())
+        .find((line) => /:\d+:\d+\)?$/.test(line)) || '';
+
+      return hashString([
+        report.type,
+        report.namespace || '',
+        report.name || '',
+        report.message.replace(/\d+/g, '#'),
+        topFrame,
+      ].join('|')).toString(16);
+    }
+
+    /**
+     * Checks the per-minute and per-page report limits
+     * @param {number} now - Current timestamp
+     * @returns {boolean} True if another report may be sent
+     */
+    function isWithinRateLimit(now) {
+      while (sentTimestamps.length > 0 && now - sentTimestamps[0] > 60000) {
+        sentTimestamps.shift();
+      }
+
+      return reportCount < CONFIG.ERROR_MAX_REPORTS_PER_PAGE &&
+        sentTimestamps.length < CONFIG.ERROR_RATE_LIMIT_PER_MINUTE;
+    }
+
+    /**
+     * Deduplicates, rate limits and delivers an error report
+     * @param {Object} report - Error report
+     * @returns {boolean} True if the report was sent or logged
+     */
+    function capture(report) {
+      if (IGNORED_MESSAGES.includes(report.message) ||
+        IGNORED_SOURCE_PATTERN.test(report.source?.filename || '')) {
+        return false;
+      }
+
+      const now = Date.now();
+      const id = fingerprint(report);
+      const seen = fingerprints.get(id);
+
+      if (seen && now - seen.lastSentAt < CONFIG.ERROR_DEDUPE_WINDOW_MS) {
+        seen.suppressed += 1;
+        return false;
+      }
+
+      if (!isWithinRateLimit(now)) {
+        if (seen) {
+          seen.suppressed += 1;
+        }
+        return false;
+      }
+
+      // Messages, stacks and log contexts can carry URLs with query strings or
+      // form input, so the report follows the same PII policy as analytics
+      const payload = {
+        ...report,
+        message: PIIScrubber.scrubText(report.message),
+        stack: report.stack ? PIIScrubber.scrubText(report.stack.slice(0, MAX_STACK_LENGTH)) : undefined,
+        ...(report.context && { context: PIIScrubber.scrubParams(report.context) }),
+        ...(report.source && { source: PIIScrubber.scrubParams(report.source) }),
+        fingerprint: id,
+        occurrences: seen ? seen.suppressed + 1 : 1,
+        breadcrumbs: breadcrumbs.map((breadcrumb) => PIIScrubber.scrubParams(breadcrumb)),
+        page_path: window.location.pathname,
+        user_agent: navigator.userAgent,
+        timestamp: new Date(now).toISOString(),
+      };
+
+      fingerprints.set(id, { lastSentAt: now, suppressed: 0 });
+      sentTimestamps.push(now);
+      reportCount += 1;
+
+      if (CONFIG.ERROR_ENDPOINT) {
+        postJSON(CONFIG.ERROR_ENDPOINT, payload);
+      }
+
+      // Handled errors were already written by their own module
+      if (!report.handled) {
+        logger.error(`Uncaught ${report.type}: ${report.message}`, {
+          fingerprint: id,
+          source: report.source,
+        });
+      }
+
+      addBreadcrumb('error', report.message, { fingerprint: id });
+      return true;
+    }
+
+    /**
+     * Reports an exception caught by application code
+     * @param {*} error - Error or thrown value
+     * @param {Object} context - Additional context
+     * @returns {boolean} True if the report was sent or logged
+     */
+    function captureException(error, context = {}) {
+      const isError = error instanceof Error;
+
+      return capture({
+        type: 'exception',
+        handled: true,
+        name: isError ? error.name : typeof error,
+        message: isError ? error.message : String(error),
+        stack: isError ? error.stack : undefined,
+        context,
+      });
+    }
+
+    /**
+     * Global error handler for uncaught exceptions
+     * @param {ErrorEvent} event - Error event
+     */
+    function handleError(event) {
+      // Ignore plain Event dispatches such as resource load failures
+      if (!(event instanceof ErrorEvent)) {
+        return;
+      }
+
+      capture({
+        type: 'error',
+        handled: false,
+        name: event.error?.name || 'Error',
+        message: event.message || String(event.error),
+        stack: event.error?.stack,
+        source: {
+          filename: event.filename,
+          lineno: event.lineno,
+          colno: event.colno,
+        },
+      });
+    }
+
+    /**
+     * Global handler for promise rejections nobody awaited
+     * @param {PromiseRejectionEvent} event - Rejection event
+     */
+    function handleRejection(event) {
+      const { reason } = event;
+      const isError = reason instanceof Error;
+
+      capture({
+        type: 'unhandledrejection',
+        handled: false,
+        name: isError ? reason.name : typeof reason,
+        message: isError ? reason.message : String(reason),
+        stack: isError ? reason.stack : undefined,
+      });
+    }
+
+    /**
+     * Logger sink - turns log calls into breadcrumbs and error entries into reports
+     * @returns {Object} Sink
+     */
+    function createBreadcrumbSink() {
+      return {
+        write(entry) {
+          if (entry.namespace === 'ErrorMonitor' || entry.level === 'debug') {
+            return;
+          }
+
+          if (entry.level !== 'error') {
+            addBreadcrumb('log', `[${entry.namespace}] ${entry.message}`, { level: entry.level });
+            return;
+          }
+
+          const { stack, ...context } = entry.context || {};
+
+          capture({
+            type: 'log',
+            handled: true,
+            namespace: entry.namespace,
+            message: entry.message,
+            stack: typeof stack === 'string' ? stack : undefined,
+            context,
+          });
+        },
+      };
+    }
+
+    /**
+     * Installs global handlers, the logger sink and the analytics breadcrumb feed
+     */
+    function initialize() {
+      if (isInitialized) {
+        return;
+      }
+
+      // Seed the trail with what was logged before monitoring started
+      Logger.getEntries({ level: 'info' })
+        .slice(-CONFIG.ERROR_BREADCRUMB_LIMIT)
+        .forEach((entry) => {
+          addBreadcrumb('log', `[${entry.namespace}] ${entry.message}`, { level: entry.level });
+        });
+
+      window.addEventListener('error', handleError);
+      window.addEventListener('unhandledrejection', handleRejection);
+      Logger.addSink('errorMonitor', createBreadcrumbSink());
+      unsubscribeAnalytics = Analytics.onEvent((eventName, eventData, status) => {
+        addBreadcrumb('analytics', eventName, { status });
+      });
+
+      isInitialized = true;
+      logger.info('Error monitoring initialized', {
+        endpoint: CONFIG.ERROR_ENDPOINT || null,
+      });
+    }
+
+    /**
+     * Removes global handlers and subscriptions
+     */
+    function destroy() {
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+      Logger.removeSink('errorMonitor');
+
+      if (unsubscribeAnalytics) {
+        unsubscribeAnalytics();
+        unsubscribeAnalytics = null;
+      }
+
+      isInitialized = false;
+    }
+
+    /**
+     * Returns a copy of the breadcrumb trail
+     * @returns {Object[]} Breadcrumbs, oldest first
+     */
+    function getBreadcrumbs() {
+      return breadcrumbs.slice();
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      captureException,
+      addBreadcrumb,
+      getBreadcrumbs,
+    });
+  })();
+
+  // ============================================
+  // Consent Management Module
+  // ============================================
+
+  const ConsentManager = (function createConsentManagerModule() {
+    const logger = createLogger('ConsentManager');
+    const CATEGORIES = Object.freeze(['analytics', 'performance', 'marketing']);
+    const ANALYTICS_COOKIE_PATTERN = /^(_ga|_gid|_gat)(_|$)/;
+    const listeners = new Set();
+    let consentState = null;
+    let banner = null;
+    let dialog = null;
+    let actionButtons = [];
+    let manageLinks = [];
+
+    /**
+     * Builds a category map with every category set to the same value
+     * @param {boolean} granted - Value applied to all categories
+     * @returns {Object} Category map
+     */
+    function createCategoryMap(granted) {
+      return CATEGORIES.reduce((categories, category) => {
+        categories[category] = granted;
+        return categories;
+      }, {});
+    }
+
+    /**
+     * Translates consent categories into Google Consent Mode v2 signals
+     * @param {Object} categories - Category map
+     * @returns {Object} Consent Mode parameters
+     */
+    function toConsentModeSignals(categories) {
+      const marketing = categories.marketing ? 'granted' : 'denied';
+
+      return {
+        analytics_storage: categories.analytics ? 'granted' : 'denied',
+        ad_storage: marketing,
+        ad_user_data: marketing,
+        ad_personalization: marketing,
+      };
+    }
+
+    /**
+     * Pushes a Consent Mode update to gtag
+     * @param {Object} categories - Category map
+     */
+    function applyConsentMode(categories) {
+      if (typeof window.gtag !== 'function') {
+        return;
+      }
+
+      try {
+        window.gtag('consent', 'update', toConsentModeSignals(categories));
+      } catch (error) {
+        logger.error('Failed to update consent mode', { error: error.message });
+      }
+    }
+
+    /**
+     * Loads the stored consent decision if it is current and not expired
+     * @returns {Object|null} Stored consent state
+     */
+    function loadStoredConsent() {
+      const stored = readStoredJSON(CONFIG.CONSENT_STORAGE_KEY);
+
+      if (!stored || stored.version !== CONFIG.CONSENT_VERSION || !stored.categories) {
+        return null;
+      }
+
+      const maxAgeMs = CONFIG.CONSENT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+      if (Date.now() - stored.timestamp > maxAgeMs) {
+        logger.info('Stored consent expired');
+        removeStoredItem(CONFIG.CONSENT_STORAGE_KEY);
+        return null;
+      }
+
+      return {
+        ...stored,
+        categories: CATEGORIES.reduce((categories, category) => {
+          categories[category] = stored.categories[category] === true;
+          return categories;
+        }, {}),
+      };
+    }
+
+    /**
+     * Expires first-party Google Analytics cookies
+     */
+    function clearAnalyticsCookies() {
+      const hostParts = window.location.hostname.split('.');
+      const domains = ['', window.location.hostname];
+      if (hostParts.length > 2) {
+        domains.push(`.${hostParts.slice(-2).join('.')}`);
+      }
+
+      document.cookie.split(';').forEach((cookie) => {
+        const name = cookie.split('=')[0].trim();
+        if (!ANALYTICS_COOKIE_PATTERN.test(name)) {
+          return;
+        }
+
+        domains.forEach((domain) => {
+          const domainAttribute = domain ? `; domain=${domain}` : '';
+          document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domainAttribute}`;
+        });
+      });
+    }
+
+    /**
+     * Notifies listeners about the current consent state
+     */
+    function notifyListeners() {
+      listeners.forEach((listener) => {
+        try {
+          listener(getConsent());
+        } catch (error) {
+          logger.error('Consent listener failed', { error: error.message });
+        }
+      });
+    }
+
+    /**
+     * Returns a snapshot of the current consent categories
+     * @returns {Object|null} Category map, or null if no decision was made
+     */
+    function getConsent() {
+      return consentState ? { ...consentState.categories } : null;
+    }
+
+    /**
+     * Checks whether the visitor has made a consent decision
+     * @returns {boolean} True if a decision exists
+     */
+    function hasDecision() {
+      return consentState !== null;
+    }
+
+    /**
+     * Checks whether a consent category is granted
+     * @param {string} category - Consent category
+     * @returns {boolean} True if granted
+     */
+    function isGranted(category) {
+      return Boolean(consentState && consentState.categories[category]);
+    }
+
+    /**
+     * Registers a listener called whenever consent is decided or changed
+     * @param {Function} listener - Receives the category map, or null after revocation
+     * @returns {Function} Unsubscribe function
+     */
+    function onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+
+    /**
+     * Records a consent decision
+     * @param {Object} categories - Category map (missing categories are denied)
+     * @param {string} source - Where the decision was made
+     */
+    function updateConsent(categories, source) {
+      const previous = getConsent();
+      const nextCategories = CATEGORIES.reduce((result, category) => {
+        result[category] = categories[category] === true;
+        return result;
+      }, {});
+
+      consentState = {
+        version: CONFIG.CONSENT_VERSION,
+        timestamp: Date.now(),
+        categories: nextCategories,
+      };
+
+      writeStoredJSON(CONFIG.CONSENT_STORAGE_KEY, consentState);
+      applyConsentMode(nextCategories);
+
+      if (previous && previous.analytics && !nextCategories.analytics) {
+        clearAnalyticsCookies();
+      }
+
+      hideBanner();
+      logger.info('Consent updated', { source, ...nextCategories });
+      notifyListeners();
+    }
+
+    /**
+     * Withdraws the stored decision, denies all categories and asks again
+     */
+    function revoke() {
+      consentState = null;
+      removeStoredItem(CONFIG.CONSENT_STORAGE_KEY);
+      applyConsentMode(createCategoryMap(false));
+      clearAnalyticsCookies();
+      closePreferences();
+      showBanner();
+
+      logger.info('Consent revoked');
+      notifyListeners();
+    }
+
+    /**
+     * Shows the consent banner
+     */
+    function showBanner() {
+      if (banner) {
+        banner.hidden = false;
+      }
+    }
+
+    /**
+     * Hides the consent banner
+     */
+    function hideBanner() {
+      if (banner) {
+        banner.hidden = true;
+      }
+    }
+
+    /**
+     * Opens the preferences dialog with the current choices pre-selected
+     */
+    function openPreferences() {
+      if (!dialog) {
+        logger.warn('Consent preferences dialog not found');
+        return;
+      }
+
+      querySelectorAll(SELECTORS.CONSENT_CATEGORY_INPUTS, dialog).forEach((input) => {
+        input.checked = isGranted(input.value);
+      });
+
+      if (typeof dialog.showModal === 'function') {
+        if (!dialog.open) {
+          dialog.showModal();
+        }
+      } else {
+        dialog.setAttribute('open', '');
+      }
+    }
+
+    /**
+     * Closes the preferences dialog
+     */
+    function closePreferences() {
+      if (!dialog || !dialog.open) {
+        return;
+      }
+
+      if (typeof dialog.close === 'function') {
+        dialog.close();
+      } else {
+        dialog.removeAttribute('open');
+      }
+    }
+
+    /**
+     * Reads the category checkboxes from the preferences dialog
+     * @returns {Object} Category map
+     */
+    function readPreferenceInputs() {
+      const categories = createCategoryMap(false);
+
+      querySelectorAll(SELECTORS.CONSENT_CATEGORY_INPUTS, dialog).forEach((input) => {
+        if (CATEGORIES.includes(input.value)) {
+          categories[input.value] = input.checked;
+        }
+      });
+
+      return categories;
+    }
+
+    /**
+     * Handles clicks on banner and dialog action buttons
+     * @param {Event} event - Click event
+     */
+    function handleActionClick(event) {
+      const action = event.currentTarget.getAttribute('data-consent-action');
+
+      switch (action) {
+        case 'accept-all':
+          updateConsent(createCategoryMap(true), action);
+          closePreferences();
+          break;
+        case 'reject-all':
+          updateConsent(createCategoryMap(false), action);
+          closePreferences();
+          break;
+        case 'customize':
+          openPreferences();
+          break;
+        case 'save':
+          updateConsent(readPreferenceInputs(), action);
+          closePreferences();
+          break;
+        case 'revoke':
+          revoke();
+          break;
+        case 'close':
+          closePreferences();
+          break;
+        default:
+          logger.warn(`Unknown consent action: ${action}`);
+      }
+    }
+
+    /**
+     * Handles clicks on "cookie preferences" links
+     * @param {Event} event - Click event
+     */
+    function handleManageClick(event) {
+      event.preventDefault();
+      openPreferences();
+    }
+
+    /**
+     * Initializes consent UI and applies any stored decision
+     */
+    function initialize() {
+      banner = querySelector(SELECTORS.CONSENT_BANNER);
+      dialog = querySelector(SELECTORS.CONSENT_DIALOG);
+
+      actionButtons = querySelectorAll(SELECTORS.CONSENT_ACTIONS);
+      actionButtons.forEach((button) => {
+        button.addEventListener('click', handleActionClick);
+      });
+
+      manageLinks = querySelectorAll(SELECTORS.CONSENT_MANAGE);
+      manageLinks.forEach((link) => {
+        link.addEventListener('click', handleManageClick);
+      });
+
+      consentState = loadStoredConsent();
+
+      if (consentState) {
+        applyConsentMode(consentState.categories);
+        hideBanner();
+        logger.info('Stored consent applied', consentState.categories);
+        notifyListeners();
+      } else {
+        showBanner();
+        logger.info('Awaiting consent decision');
+      }
+    }
+
+    /**
+     * Removes consent UI listeners (the stored decision is kept)
+     */
+    function destroy() {
+      actionButtons.forEach((button) => {
+        button.removeEventListener('click', handleActionClick);
+      });
+      manageLinks.forEach((link) => {
+        link.removeEventListener('click', handleManageClick);
+      });
+      actionButtons = [];
+      manageLinks = [];
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      getConsent,
+      hasDecision,
+      isGranted,
+      onChange,
+      updateConsent,
+      revoke,
+      openPreferences,
+      CATEGORIES,
+    });
+  })();
+
+  // ============================================
+  // Performance Monitoring Module
+  // ============================================
+
+  const PerformanceMonitor = (function createPerformanceMonitorModule() {
+    const logger = createLogger('PerformanceMonitor');
+    const marks = new Map();
+    const measures = new Map();
+    const observers = [];
+    const webVitals = {
+      lcp: null,
+      cls: null,
+      inp: null,
+      ttfb: null,
+    };
+    const clsState = {
+      sessionValue: 0,
+      sessionEntries: [],
+      maxValue: 0,
+      maxEntries: [],
+    };
+    const interactions = new Map();
+    const budgetViolations = [];
+    let hasReported = false;
+
+    /**
+     * Checks if Performance API is available
+     * @returns {boolean} True if Performance API is available
+     */
+    function isAvailable() {
+      return typeof window.performance !== 'undefined' &&
+             typeof window.performance.mark === 'function' &&
+             typeof window.performance.measure === 'function';
+    }
+
+    /**
+     * Strips query strings and fragments from a resource URL before it is reported
+     * @param {string} url - Resource URL
+     * @returns {string} Origin-relative path for same-origin URLs, origin + path otherwise
+     */
+    function sanitizeResourceUrl(url) {
+      try {
+        const parsed = new URL(url, window.location.href);
+        return parsed.origin === window.location.origin
+          ? parsed.pathname
+          : `${parsed.origin}${parsed.pathname}`;
+      } catch (error) {
+        return '';
+      }
+    }
+
+    /**
+     * Checks whether a resource is one of the site's own log, error or collector requests,
+     * which are sent in the background and should not count against resource budgets
+     * @param {string} url - Resource URL
+     * @returns {boolean} True for telemetry requests
+     */
+    function isTelemetryRequest(url) {
+      const { beacon } = CONFIG.ANALYTICS_ADAPTERS;
+      const endpoints = [
+        CONFIG.LOG_ENDPOINT,
+        CONFIG.ERROR_ENDPOINT,
+        beacon && beacon.enabled ? beacon.endpoint : '',
+      ].filter(Boolean);
+      const path = sanitizeResourceUrl(url);
+
+      return endpoints.some((endpoint) => sanitizeResourceUrl(endpoint) === path);
+    }
+
+    /**
+     * Formats offending entries as a GA4-friendly string
+     * @param {Object[]} entries - Entries with name and value, worst first
+     * @returns {string} e.g. "/images/hero.jpg:2140;/css/styles.css:1630", whole entries up to 100 characters
+     */
+    function formatOffendingEntries(entries) {
+      return entries
+        .slice(0, CONFIG.PERFORMANCE_BUDGETS.maxReportedEntries)
+        .map((entry) => `${entry.name}:${Math.round(entry.value)}`)
+        .reduce((result, item) => {
+          const next = result ? `${result};${item}` : item;
+          return next.length <= 100 || !result ? next.slice(0, 100) : result;
+        }, '');
+    }
+
+    /**
+     * Logs and reports entries that exceeded a budget
+     * @param {string} budgetType - measure, transfer_size, resource_duration or long_task
+     * @param {Object[]} offendingEntries - Entries with name, value and budget
+     */
+    function reportBudgetViolation(budgetType, offendingEntries) {
+      if (offendingEntries.length === 0) {
+        return;
+      }
+
+      const sorted = [...offendingEntries].sort((a, b) => (b.value - b.budget) - (a.value - a.budget));
+      const worst = sorted[0];
+
+      budgetViolations.push(...sorted.map((entry) => ({ budgetType, ...entry })));
+
+      if (budgetViolations.length > CONFIG.PERFORMANCE_BUDGET_VIOLATION_LIMIT) {
+        budgetViolations.splice(0, budgetViolations.length - CONFIG.PERFORMANCE_BUDGET_VIOLATION_LIMIT);
+      }
+
+      logger.warn(`Performance budget exceeded: ${budgetType}`, {
+        count: sorted.length,
+        worst,
+      });
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_BUDGET_EXCEEDED, {
+        budget_type: budgetType,
+        entry_count: sorted.length,
+        worst_entry_name: worst.name,
+        worst_entry_value: Math.round(worst.value),
+        worst_entry_budget: worst.budget,
+        offending_entries: formatOffendingEntries(sorted),
+      });
+    }
+
+    /**
+     * Checks a measured duration against its budget, if one is configured
+     * @param {string} name - Measure name
+     * @param {number} duration - Duration in milliseconds
+     */
+    function checkMeasureBudget(name, duration) {
+      const budget = CONFIG.PERFORMANCE_BUDGETS.measures[name];
+
+      if (typeof budget === 'number' && duration > budget) {
+        reportBudgetViolation('measure', [{ name, value: duration, budget }]);
+      }
+    }
+
+    /**
+     * Flags long main-thread tasks
+     * @param {PerformanceEntry[]} entries - longtask entries
+     */
+    function handleLongTaskEntries(entries) {
+      const budget = CONFIG.PERFORMANCE_BUDGETS.longTaskMs;
+
+      const offending = entries
+        .filter((entry) => entry.duration > budget)
+        .map((entry) => {
+          const attribution = entry.attribution && entry.attribution[0];
+          return {
+            name: attribution ? attribution.containerType || attribution.name : entry.name,
+            value: entry.duration,
+            budget,
+            start_time: Math.round(entry.startTime),
+          };
+        });
+
+      reportBudgetViolation('long_task', offending);
+    }
+
+    /**
+     * Flags slow or oversized resources
+     * @param {PerformanceEntry[]} entries - resource entries
+     */
+    function handleResourceEntries(entries) {
+      const { transferSize, resourceDurationMs } = CONFIG.PERFORMANCE_BUDGETS;
+      const oversized = [];
+      const slow = [];
+
+      entries.forEach((entry) => {
+        if (entry.initiatorType === 'beacon' || isTelemetryRequest(entry.name)) {
+          return;
+        }
+
+        const name = sanitizeResourceUrl(entry.name);
+        const sizeBudget = transferSize[entry.initiatorType];
+        // transferSize is 0 for cache hits and opaque cross-origin responses
+        const size = entry.transferSize || entry.encodedBodySize || 0;
+
+        if (typeof sizeBudget === 'number' && size > sizeBudget) {
+          oversized.push({
+            name,
+            value: size,
+            budget: sizeBudget,
+            initiator_type: entry.initiatorType,
+          });
+        }
+
+        if (entry.duration > resourceDurationMs) {
+          slow.push({
+            name,
+            value: entry.duration,
+            budget: resourceDurationMs,
+            initiator_type: entry.initiatorType,
+          });
+        }
+      });
+
+      reportBudgetViolation('transfer_size', oversized);
+      reportBudgetViolation('resource_duration', slow);
+    }
+
+    /**
+     * Returns the budget violations recorded so far
+     * @returns {Object[]} Violations
+     */
+    function getBudgetViolations() {
+      return budgetViolations.map((violation) => ({ ...violation }));
+    }
+
+    /**
+     * Returns the marks and measures recorded through this module
+     * @returns {Object[]} Timeline entries ordered by start time
+     */
+    function getTimeline() {
+      if (!isAvailable()) {
+        return [];
+      }
+
+      const entries = [];
+
+      marks.forEach((markName, name) => {
+        window.performance.getEntriesByName(markName, 'mark').forEach((entry) => {
+          entries.push({ type: 'mark', name, startTime: entry.startTime });
+        });
+      });
+
+      measures.forEach((duration, name) => {
+        const measureName = `${CONFIG.PERFORMANCE_MARK_PREFIX}:${name}`;
+        window.performance.getEntriesByName(measureName, 'measure').forEach((entry) => {
+          entries.push({ type: 'measure', name, startTime: entry.startTime, duration: entry.duration });
+        });
+      });
+
+      return entries.sort((a, b) => a.startTime - b.startTime);
+    }
+
+    /**
+     * Creates a performance mark
+     * @param {string} name - Mark name
+     */
+    function mark(name) {
+      if (!isAvailable()) {
+        return;
+      }
+
+      try {
+        const markName = `${CONFIG.PERFORMANCE_MARK_PREFIX}:${name}`;
+        window.performance.mark(markName);
+        marks.set(name, markName);
+        logger.debug(`Performance mark created: ${name}`);
+      } catch (error) {
+        logger.error('Failed to create performance mark', {
+          name,
+          error: error.message,
+        });
+      }
+    }
+
+    /**
+     * Measures performance between two marks
+     * @param {string} name - Measure name
+     * @param {string} startMark - Start mark name
+     * @param {string} endMark - End mark name (optional)
+     * @returns {number|null} Duration in milliseconds
+     */
+    function measure(name, startMark, endMark) {
+      if (!isAvailable()) {
+        return null;
+      }
+
+      try {
+        const measureName = `${CONFIG.PERFORMANCE_MARK_PREFIX}:${name}`;
+        const startMarkName = marks.get(startMark);
+        const endMarkName = endMark ? marks.get(endMark) : undefined;
+
+        if (!startMarkName) {
+          logger.warn(`Start mark not found: ${startMark}`);
+          return null;
+        }
+
+        window.performance.measure(measureName, startMarkName, endMarkName);
+        const entry = window.performance.getEntriesByName(measureName)[0];
+        
+        if (entry) {
+          measures.set(name, entry.duration);
+          logger.debug(`Performance measured: ${name}`, {
+            duration: entry.duration,
+            startMark,
+            endMark,
+          });
+
+          // Track performance metric in analytics
+          Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
+            metric_name: name,
+            duration_ms: entry.duration,
+            start_mark: startMark,
+            end_mark: endMark,
+          });
+
+          checkMeasureBudget(name, entry.duration);
+
+          return entry.duration;
+        }
+
+        return null;
+      } catch (error) {
+        logger.error('Failed to measure performance', {
+          name,
+          startMark,
+          endMark,
+          error: error.message,
+        });
+        return null;
+      }
+    }
+
+    /**
+     * Rates a metric value against the Core Web Vitals thresholds
+     * @param {string} metric - Metric key (lcp, cls, inp, ttfb)
+     * @param {number} value - Metric value
+     * @returns {string} good, needs-improvement or poor
+     */
+    function rateMetric(metric, value) {
+      const [good, poor] = CONFIG.WEB_VITALS_THRESHOLDS[metric];
+      if (value <= good) {
+        return 'good';
+      }
+      return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    /**
+     * Starts a buffered PerformanceObserver if the entry type is supported
+     * @param {string} type - Entry type
+     * @param {Function} callback - Receives the observed entries
+     * @param {Object} options - Extra observe() options
+     */
+    function observe(type, callback, options = {}) {
+      const supportedTypes = (window.PerformanceObserver && PerformanceObserver.supportedEntryTypes) || [];
+
+      if (!supportedTypes.includes(type)) {
+        return;
+      }
+
+      try {
+        const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        observers.push({ observer, callback });
+      } catch (error) {
+        logger.warn(`Unable to observe ${type} entries`, { error: error.message });
+      }
+    }
+
+    /**
+     * Records Largest Contentful Paint candidates
+     * @param {PerformanceEntry[]} entries - largest-contentful-paint entries
+     */
+    function handleLCPEntries(entries) {
+      const lastEntry = entries[entries.length - 1];
+      if (!lastEntry) {
+        return;
+      }
+
+      webVitals.lcp = {
+        value: lastEntry.startTime,
+        attribution: {
+          element: describeElement(lastEntry.element),
+          url: lastEntry.url || '',
+          size: lastEntry.size,
+          resourceLoadTime: lastEntry.loadTime || 0,
+        },
+      };
+    }
+
+    /**
+     * Accumulates layout shifts into session windows (1 s gap, 5 s cap) and keeps the worst window
+     * @param {PerformanceEntry[]} entries - layout-shift entries
+     */
+    function handleLayoutShiftEntries(entries) {
+      entries.forEach((entry) => {
+        if (entry.hadRecentInput) {
+          return;
+        }
+
+        const firstEntry = clsState.sessionEntries[0];
+        const lastEntry = clsState.sessionEntries[clsState.sessionEntries.length - 1];
+
+        if (
+          firstEntry &&
+          entry.startTime - lastEntry.startTime < 1000 &&
+          entry.startTime - firstEntry.startTime < 5000
+        ) {
+          clsState.sessionValue += entry.value;
+          clsState.sessionEntries.push(entry);
+        } else {
+          clsState.sessionValue = entry.value;
+          clsState.sessionEntries = [entry];
+        }
+
+        if (clsState.sessionValue > clsState.maxValue) {
+          clsState.maxValue = clsState.sessionValue;
+          clsState.maxEntries = [...clsState.sessionEntries];
+        }
+      });
+
+      const largestShift = clsState.maxEntries.reduce(
+        (largest, entry) => (!largest || entry.value > largest.value ? entry : largest),
+        null
+      );
+      const shiftedNodes = largestShift && largestShift.sources
+        ? largestShift.sources.map((source) => describeElement(source.node)).filter(Boolean)
+        : [];
+
+      webVitals.cls = {
+        value: clsState.maxValue,
+        attribution: {
+          largestShiftTarget: shiftedNodes[0] || '',
+          shiftedNodes: shiftedNodes.join(','),
+          largestShiftValue: largestShift ? largestShift.value : 0,
+          largestShiftTime: largestShift ? largestShift.startTime : 0,
+        },
+      };
+    }
+
+    /**
+     * Tracks the slowest event per interaction and derives INP (p98 of interaction latencies)
+     * @param {PerformanceEntry[]} entries - event and first-input entries
+     */
+    function handleEventEntries(entries) {
+      entries.forEach((entry) => {
+        if (!entry.interactionId) {
+          return;
+        }
+
+        const existing = interactions.get(entry.interactionId);
+        if (!existing || entry.duration > existing.duration) {
+          interactions.set(entry.interactionId, entry);
+        }
+      });
+
+      if (interactions.size === 0) {
+        return;
+      }
+
+      const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+      const candidate = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+
+      webVitals.inp = {
+        value: candidate.duration,
+        attribution: {
+          target: describeElement(candidate.target),
+          eventType: candidate.name,
+          inputDelay: candidate.processingStart - candidate.startTime,
+          processingDuration: candidate.processingEnd - candidate.processingStart,
+          presentationDelay: Math.max(
+            candidate.startTime + candidate.duration - candidate.processingEnd,
+            0
+          ),
+          interactionCount: interactions.size,
+        },
+      };
+    }
+
+    /**
+     * Records Time to First Byte from navigation timing
+     */
+    function collectTTFB() {
+      const navigation = window.performance.getEntriesByType('navigation')[0];
+      if (!navigation) {
+        return;
+      }
+
+      const activationStart = navigation.activationStart || 0;
+      webVitals.ttfb = {
+        value: Math.max(navigation.responseStart - activationStart, 0),
+        attribution: {
+          dnsDuration: navigation.domainLookupEnd - navigation.domainLookupStart,
+          connectionDuration: navigation.connectEnd - navigation.connectStart,
+          requestDuration: navigation.responseStart - navigation.requestStart,
+        },
+      };
+    }
+
+    /**
+     * Flattens collected Web Vitals and their attribution into analytics-friendly params
+     * @returns {Object} Flat metric params
+     */
+    function getWebVitalsParams() {
+      const params = {};
+
+      Object.entries(webVitals).forEach(([metric, data]) => {
+        if (!data) {
+          return;
+        }
+
+        params[metric] = metric === 'cls' ? Number(data.value.toFixed(4)) : Math.round(data.value);
+        params[`${metric}_rating`] = rateMetric(metric, data.value);
+
+        Object.entries(data.attribution).forEach(([key, value]) => {
+          const snakeKey = key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+          params[`${metric}_${snakeKey}`] = typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+        });
+      });
+
+      return params;
+    }
+
+    /**
+     * Gets Core Web Vitals metrics
+     * @returns {Object} Core Web Vitals data
+     */
+    function getCoreWebVitals() {
+      if (!isAvailable()) {
+        return {};
+      }
+
+      const vitals = {};
+
+      try {
+        // Get navigation timing
+        const navigation = window.performance.getEntriesByType('navigation')[0];
+        if (navigation) {
+          vitals.domContentLoaded = navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart;
+          vitals.loadComplete = navigation.loadEventEnd - navigation.loadEventStart;
+          vitals.domInteractive = navigation.domInteractive - navigation.fetchStart;
+        }
+
+        // Get paint timing
+        const paintEntries = window.performance.getEntriesByType('paint');
+        paintEntries.forEach((entry) => {
+          if (entry.name === 'first-paint') {
+            vitals.firstPaint = entry.startTime;
+          } else if (entry.name === 'first-contentful-paint') {
+            vitals.firstContentfulPaint = entry.startTime;
+          }
+        });
+
+        // Observed Core Web Vitals (LCP, CLS, INP, TTFB) with attribution
+        Object.assign(vitals, getWebVitalsParams());
+
+        logger.info('Core Web Vitals collected', vitals);
+      } catch (error) {
+        logger.error('Failed to collect Core Web Vitals', {
+          error: error.message,
+        });
+      }
+
+      return vitals;
+    }
+
+    /**
+     * Reports performance metrics
+     *
+     * Web Vitals keep changing for the lifetime of the page, so final values are
+     * reported once, the first time the page is hidden.
+     */
+    function reportMetrics() {
+      if (hasReported) {
+        return;
+      }
+      hasReported = true;
+
+      const vitals = getCoreWebVitals();
+      
+      if (Object.keys(vitals).length > 0) {
+        Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
+          metric_type: 'core_web_vitals',
+          ...vitals,
+        });
+      }
+
+      // Report custom measures
+      measures.forEach((duration, name) => {
+        Analytics.trackEvent(ANALYTICS_EVENTS.PERFORMANCE_METRIC, {
+          metric_type: 'custom_measure',
+          metric_name: name,
+          duration_ms: duration,
+        });
+      });
+    }
+
+    /**
+     * Handles page hide for final metric reporting
+     */
+    function handlePageHidden() {
+      if (document.visibilityState === 'hidden') {
+        // Entries not yet delivered to the callbacks would otherwise miss the report
+        observers.forEach(({ observer, callback }) => {
+          if (typeof observer.takeRecords === 'function') {
+            const pendingEntries = observer.takeRecords();
+            if (pendingEntries.length > 0) {
+              callback(pendingEntries);
+            }
+          }
+        });
+        reportMetrics();
+      }
+    }
+
+    /**
+     * Starts Core Web Vitals observers and schedules the final report
+     */
+    function initialize() {
+      if (!isAvailable()) {
+        return;
+      }
+
+      observe('largest-contentful-paint', handleLCPEntries);
+      observe('layout-shift', handleLayoutShiftEntries);
+      observe('event', handleEventEntries, { durationThreshold: 40 });
+      observe('first-input', handleEventEntries);
+      observe('longtask', handleLongTaskEntries);
+      observe('resource', handleResourceEntries);
+      collectTTFB();
+
+      document.addEventListener('visibilitychange', handlePageHidden);
+      window.addEventListener('pagehide', reportMetrics);
+
+      logger.info('Core Web Vitals and budget observers initialized');
+    }
+
+    /**
+     * Disconnects observers and removes page-hide listeners
+     */
+    function destroy() {
+      observers.splice(0).forEach(({ observer }) => observer.disconnect());
+      document.removeEventListener('visibilitychange', handlePageHidden);
+      window.removeEventListener('pagehide', reportMetrics);
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      mark,
+      measure,
+      getCoreWebVitals,
+      reportMetrics,
+      getBudgetViolations,
+      getTimeline,
+      isAvailable,
+    });
+  })();
+
+  // ============================================
+  // Experiments Module
+  // ============================================
+
+  const Experiments = (function createExperimentsModule() {
+    const logger = createLogger('Experiments');
+    const ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+    // Hides the hero until variants are applied; set by the inline snippet in <head>
+    const PENDING_CLASS = 'experiments-pending';
+    const TAGGED_EVENTS = Object.freeze([ANALYTICS_EVENTS.CTA_CLICK]);
+    // Every form's success event ends with this, whatever its event prefix
+    const TAGGED_EVENT_SUFFIX = '_submit_success';
+    const assignments = new Map();
+    let visitorId = '';
+    let removeEnricher = null;
+    let unsubscribeConsent = null;
+
+    /**
+     * Returns the bucketing id, creating it on first visit
+     *
+     * Kept apart from the analytics visitor id: it is needed before consent so a
+     * visitor sees the same variant on every page, and it never leaves the browser.
+     * Until analytics consent is given it lives in sessionStorage only, so nothing
+     * outlasts the tab; see handleConsentChange.
+     *
+     * @returns {string} Visitor id
+     */
+    function getVisitorId() {
+      let id = readStoredJSON(CONFIG.EXPERIMENT_VISITOR_STORAGE_KEY) ||
+        readStoredJSON(CONFIG.EXPERIMENT_VISITOR_STORAGE_KEY, window.sessionStorage);
+
+      if (typeof id !== 'string' || !id) {
+        id = window.crypto && typeof window.crypto.randomUUID === 'function'
+          ? window.crypto.randomUUID()
+          : `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+      }
+
+      writeStoredJSON(CONFIG.EXPERIMENT_VISITOR_STORAGE_KEY, id, window.sessionStorage);
+      return id;
+    }
+
+    /**
+     * Keeps the bucketing id across visits only while analytics consent is granted
+     * @param {Object|null} consent - Category map, or null after revocation
+     */
+    function handleConsentChange(consent) {
+      if (consent && consent.analytics && visitorId) {
+        writeStoredJSON(CONFIG.EXPERIMENT_VISITOR_STORAGE_KEY, visitorId);
+      } else {
+        removeStoredItem(CONFIG.EXPERIMENT_VISITOR_STORAGE_KEY);
+      }
+    }
+
+    /**
+     * Maps a string to a stable point in [0, 1)
+     * @param {string} value - Input
+     * @returns {number} Bucket position
+     */
+    function toUnitInterval(value) {
+      return hashString(value) / 0x100000000;
+    }
+
+    /**
+     * Validates an experiment definition from config
+     * @param {string} experimentId - Experiment id
+     * @param {Object} definition - Experiment definition
+     * @returns {string[]} Validation errors
+     */
+    function validateDefinition(experimentId, definition) {
+      const errors = [];
+
+      if (!ID_PATTERN.test(experimentId)) {
+        errors.push('id must be 1-40 letters, digits, "_" or "-"');
+      }
+      if (definition.traffic !== undefined &&
+        !(typeof definition.traffic === 'number' && definition.traffic >= 0 && definition.traffic <= 1)) {
+        errors.push('traffic must be a number between 0 and 1');
+      }
+      if (!Array.isArray(definition.variants) || definition.variants.length < 2) {
+        errors.push('variants must list at least two variants');
+        return errors;
+      }
+
+      definition.variants.forEach((variant, index) => {
+        if (!variant || !ID_PATTERN.test(variant.id)) {
+          errors.push(`variants[${index}].id is missing or invalid`);
+        }
+        if (variant && variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight >= 0)) {
+          errors.push(`variants[${index}].weight must be a non-negative number`);
+        }
+        (variant && variant.changes ? variant.changes : []).forEach((change, changeIndex) => {
+          if (!change || typeof change.selector !== 'string') {
+            errors.push(`variants[${index}].changes[${changeIndex}].selector must be a string`);
+          }
+        });
+      });
+
+      return errors;
+    }
+
+    /**
+     * Reads ?variant= overrides for QA
+     *
+     * Accepts "experiment:variant" pairs separated by commas, or a bare variant
+     * id that applies to every experiment defining it.
+     *
+     * @returns {Map<string, string>} Variant ids keyed by experiment id ("*" for bare ids)
+     */
+    function getOverrides() {
+      const overrides = new Map();
+      const param = new URLSearchParams(window.location.search).get('variant');
+
+      (param || '').split(',').map((part) => part.trim()).filter(Boolean).forEach((part) => {
+        const [experimentId, variantId] = part.includes(':') ? part.split(':') : ['*', part];
+        overrides.set(experimentId, variantId);
+      });
+
+      return overrides;
+    }
+
+    /**
+     * Picks a variant by weight from a bucket position
+     * @param {Object[]} variants - Variant definitions
+     * @param {number} position - Bucket position in [0, 1)
+     * @returns {Object} Variant
+     */
+    function pickVariant(variants, position) {
+      const weights = variants.map((variant) => (variant.weight === undefined ? 1 : variant.weight));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let threshold = position * total;
+
+      for (let index = 0; index < variants.length; index += 1) {
+        threshold -= weights[index];
+        if (threshold < 0) {
+          return variants[index];
+        }
+      }
+
+      return variants[variants.length - 1];
+    }
+
+    /**
+     * Applies a variant's DOM changes
+     * @param {string} experimentId - Experiment id
+     * @param {Object} variant - Variant definition
+     */
+    function applyChanges(experimentId, variant) {
+      (variant.changes || []).forEach((change) => {
+        const elements = querySelectorAll(change.selector);
+
+        if (elements.length === 0) {
+          logger.warn(`Experiment target not found: ${change.selector}`, { experimentId });
+          return;
+        }
+
+        elements.forEach((element) => {
+          if (typeof change.html === 'string') {
+            element.innerHTML = change.html;
+          } else if (typeof change.text === 'string') {
+            element.textContent = change.text;
+          }
+
+          Object.entries(change.attributes || {}).forEach(([name, value]) => {
+            element.setAttribute(name, String(value));
+          });
+        });
+      });
+    }
+
+    /**
+     * Adds the active variants to events that measure experiment outcomes
+     * @param {string} eventName - Event name
+     * @returns {Object} Event parameters
+     */
+    function getEventParams(eventName) {
+      const isTagged = TAGGED_EVENTS.includes(eventName) || eventName.endsWith(TAGGED_EVENT_SUFFIX);
+      if (assignments.size === 0 || !isTagged) {
+        return {};
+      }
+
+      return {
+        experiment_variants: Array.from(assignments.values())
+          .map(({ experimentId, variantId }) => `${experimentId}:${variantId}`)
+          .join(',')
+          .slice(0, 100),
+      };
+    }
+
+    /**
+     * Assigns and applies every enabled experiment, then reveals the hero
+     *
+     * Runs first in the module order, before the browser's first paint of the
+     * deferred-script DOM, so visitors never see the control copy flash.
+     */
+    function initialize() {
+      try {
+        const overrides = getOverrides();
+        const experimentIds = Object.keys(CONFIG.EXPERIMENTS);
+        visitorId = experimentIds.length > 0 ? getVisitorId() : '';
+        unsubscribeConsent = ConsentManager.onChange(handleConsentChange);
+
+        experimentIds.forEach((experimentId) => {
+          const definition = CONFIG.EXPERIMENTS[experimentId] || {};
+
+          if (definition.enabled === false) {
+            return;
+          }
+
+          const errors = validateDefinition(experimentId, definition);
+          if (errors.length > 0) {
+            logger.warn(`Skipping invalid experiment: ${experimentId}`, { errors });
+            return;
+          }
+
+          const overrideId = overrides.get(experimentId) || overrides.get('*');
+          const forcedVariant = definition.variants.find((variant) => variant.id === overrideId);
+          const traffic = definition.traffic === undefined ? 1 : definition.traffic;
+
+          if (!forcedVariant && toUnitInterval(`${experimentId}:traffic:${visitorId}`) >= traffic) {
+            return;
+          }
+
+          const variant = forcedVariant ||
+            pickVariant(definition.variants, toUnitInterval(`${experimentId}:variant:${visitorId}`));
+
+          applyChanges(experimentId, variant);
+          assignments.set(experimentId, { experimentId, variantId: variant.id, forced: Boolean(forcedVariant) });
+
+          Analytics.trackEvent(ANALYTICS_EVENTS.EXPERIMENT_EXPOSURE, {
+            experiment_id: experimentId,
+            variant_id: variant.id,
+            forced: Boolean(forcedVariant),
+          });
+        });
+
+        if (assignments.size > 0) {
+          removeEnricher = Analytics.addEnricher(getEventParams);
+          logger.info('Experiments assigned', {
+            assignments: Array.from(assignments.values()).map(({ experimentId, variantId }) => `${experimentId}:${variantId}`),
+          });
+        }
+      } finally {
+        document.documentElement.classList.remove(PENDING_CLASS);
+      }
+    }
+
+    /**
+     * Stops tagging events; applied variants stay in place
+     */
+    function destroy() {
+      if (removeEnricher) {
+        removeEnricher();
+        removeEnricher = null;
+      }
+      if (unsubscribeConsent) {
+        unsubscribeConsent();
+        unsubscribeConsent = null;
+      }
+    }
+
+    /**
+     * Returns the variant assigned to an experiment
+     * @param {string} experimentId - Experiment id
+     * @returns {string|null} Variant id, or null when not enrolled
+     */
+    function getVariant(experimentId) {
+      const assignment = assignments.get(experimentId);
+      return assignment ? assignment.variantId : null;
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      getVariant,
+    });
+  })();
+
+  // ============================================
+  // Adaptive Loading Module
+  // ============================================
+
+  const AdaptiveLoading = (function createAdaptiveLoadingModule() {
+    const logger = createLogger('AdaptiveLoading');
+    const LITE_CONNECTIONS = Object.freeze(['slow-2g', '2g']);
+    const REDUCED_CONNECTIONS = Object.freeze(['3g']);
+    const LOW_DEVICE_MEMORY_GB = 2;
+    const IDLE_TIMEOUT_MS = 5000;
+    let detected = null;
+    let removeEnricher = null;
+
+    /**
+     * Reads the network, data-saving and device signals the browser exposes
+     * @returns {Object} Signals; absent APIs leave their signal undefined
+     */
+    function getSignals() {
+      const connection = navigator.connection || {};
+      const reducedData = typeof window.matchMedia === 'function'
+        ? window.matchMedia('(prefers-reduced-data: reduce)').matches
+        : false;
+
+      return {
+        saveData: connection.saveData === true,
+        reducedData,
+        effectiveType: connection.effectiveType,
+        deviceMemory: navigator.deviceMemory,
+      };
+    }
+
+    /**
+     * Chooses a loading tier from the current signals
+     *
+     * "lite" is for visitors who asked to save data or are on 2G; "reduced" for 3G
+     * or low-memory devices; "full" otherwise. LOADING_TIER overrides detection.
+     *
+     * @returns {{tier: string, reason: string}} Tier and the signal that decided it
+     */
+    function detectTier() {
+      if (CONFIG.LOADING_TIER !== 'auto') {
+        return { tier: CONFIG.LOADING_TIER, reason: 'config' };
+      }
+
+      const signals = getSignals();
+
+      if (signals.saveData) {
+        return { tier: 'lite', reason: 'save_data' };
+      }
+      if (signals.reducedData) {
+        return { tier: 'lite', reason: 'prefers_reduced_data' };
+      }
+      if (LITE_CONNECTIONS.includes(signals.effectiveType)) {
+        return { tier: 'lite', reason: `connection_${signals.effectiveType}` };
+      }
+      if (REDUCED_CONNECTIONS.includes(signals.effectiveType)) {
+        return { tier: 'reduced', reason: `connection_${signals.effectiveType}` };
+      }
+      if (typeof signals.deviceMemory === 'number' && signals.deviceMemory <= LOW_DEVICE_MEMORY_GB) {
+        return { tier: 'reduced', reason: 'device_memory' };
+      }
+
+      return { tier: 'full', reason: 'default' };
+    }
+
+    /**
+     * Returns the loading tier, detecting it on first use
+     *
+     * Fixed for the lifetime of the page so every module and event agrees.
+     *
+     * @returns {string} "full", "reduced" or "lite"
+     */
+    function getTier() {
+      if (!detected) {
+        detected = detectTier();
+      }
+      return detected.tier;
+    }
+
+    /**
+     * Checks whether smaller image variants should be used
+     * @returns {boolean} True below the full tier
+     */
+    function prefersLightAssets() {
+      return getTier() !== 'full';
+    }
+
+    /**
+     * Runs once the page has loaded and the main thread is idle
+     * @param {Function} callback - Callback
+     * @returns {Function} Cancel function
+     */
+    function whenIdleAfterLoad(callback) {
+      let idleId = null;
+      let timeoutId = null;
+
+      const scheduleIdle = () => {
+        if (typeof window.requestIdleCallback === 'function') {
+          idleId = window.requestIdleCallback(callback, { timeout: IDLE_TIMEOUT_MS });
+        } else {
+          timeoutId = setTimeout(callback, 0);
+        }
+      };
+
+      if (document.readyState === 'complete') {
+        scheduleIdle();
+      } else {
+        window.addEventListener('load', scheduleIdle, { once: true });
+      }
+
+      return () => {
+        window.removeEventListener('load', scheduleIdle);
+        if (idleId !== null && typeof window.cancelIdleCallback === 'function') {
+          window.cancelIdleCallback(idleId);
+        }
+        clearTimeout(timeoutId);
+      };
+    }
+
+    /**
+     * Starts a non-essential feature according to the loading tier
+     *
+     * Runs immediately on the full tier, once the page is loaded and idle on the
+     * reduced tier, and not at all on the lite tier.
+     *
+     * @param {Function} start - Starts the feature; may return a cleanup function
+     * @returns {Function} Cancels a pending start or runs the feature's cleanup
+     */
+    function deferNonEssential(start) {
+      let cleanup = null;
+      let cancelPending = null;
+      const run = () => {
+        cancelPending = null;
+        cleanup = start();
+      };
+
+      switch (getTier()) {
+        case 'full':
+          run();
+          break;
+        case 'reduced':
+          cancelPending = whenIdleAfterLoad(run);
+          break;
+        default:
+          break;
+      }
+
+      return () => {
+        if (cancelPending) {
+          cancelPending();
+          cancelPending = null;
+        }
+        if (typeof cleanup === 'function') {
+          cleanup();
+          cleanup = null;
+        }
+      };
+    }
+
+    /**
+     * Detects the tier and reports it on every analytics event
+     */
+    function initialize() {
+      getTier();
+      removeEnricher = Analytics.addEnricher(() => ({ loading_tier: detected.tier }));
+      logger.info(`Loading tier: ${detected.tier}`, { reason: detected.reason, signals: getSignals() });
+    }
+
+    /**
+     * Stops reporting the tier
+     */
+    function destroy() {
+      if (removeEnricher) {
+        removeEnricher();
+        removeEnricher = null;
+      }
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      getTier,
+      prefersLightAssets,
+      deferNonEssential,
+    });
+  })();
+
+  // ============================================
+  // Session Management Module
+  // ============================================
+
+  const SessionManager = (function createSessionManagerModule() {
+    const logger = createLogger('SessionManager');
+    const ACTIVITY_EVENTS = Object.freeze(['pointerdown', 'keydown', 'scroll', 'touchstart']);
+    const ACTIVITY_WRITE_INTERVAL_MS = 5000;
+    const sessionStartListeners = new Set();
+    let session = null;
+    let visitor = null;
+    let lastWriteAt = 0;
+    let isStarted = false;
+
+    /**
+     * Returns the inactivity timeout in milliseconds
+     * @returns {number} Timeout
+     */
+    function getTimeoutMs() {
+      return CONFIG.SESSION_TIMEOUT_MINUTES * 60 * 1000;
+    }
+
+    /**
+     * Generates a random identifier
+     * @returns {string} Identifier
+     */
+    function generateId() {
+      if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+      }
+
+      return `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    }
+
+    /**
+     * Reads the visitor record, creating one on the first visit
+     * @returns {Object} Visitor record
+     */
+    function loadVisitor() {
+      const stored = readStoredJSON(CONFIG.VISITOR_STORAGE_KEY);
+
+      if (stored && typeof stored.id === 'string' && Number.isInteger(stored.sessionCount)) {
+        return stored;
+      }
+
+      return { id: generateId(), firstSeenAt: Date.now(), sessionCount: 0 };
+    }
+
+    /**
+     * Checks whether a stored session is still active
+     * @param {Object|null} candidate - Stored session
+     * @param {number} now - Current timestamp
+     * @returns {boolean} True if the session has not timed out
+     */
+    function isActive(candidate, now) {
+      return Boolean(candidate) &&
+        typeof candidate.id === 'string' &&
+        typeof candidate.lastActivityAt === 'number' &&
+        now - candidate.lastActivityAt < getTimeoutMs();
+    }
+
+    /**
+     * Starts a new session and counts it against the visitor
+     * @param {number} now - Current timestamp
+     */
+    function beginSession(now) {
+      visitor = loadVisitor();
+      visitor.sessionCount += 1;
+      session = {
+        id: generateId(),
+        number: visitor.sessionCount,
+        startedAt: now,
+        lastActivityAt: now,
+      };
+
+      writeStoredJSON(CONFIG.VISITOR_STORAGE_KEY, visitor);
+      writeStoredJSON(CONFIG.SESSION_STORAGE_KEY, session);
+      lastWriteAt = now;
+
+      logger.info('Session started', { sessionNumber: session.number });
+
+      sessionStartListeners.forEach((listener) => {
+        try {
+          listener(getSession());
+        } catch (error) {
+          logger.warn('Session start listener failed', { error: error.message });
+        }
+      });
+    }
+
+    /**
+     * Continues the stored session, or begins a new one after inactivity
+     *
+     * Storage is re-read each time so activity in another tab keeps this
+     * tab's session alive.
+     *
+     * @param {number} now - Current timestamp
+     * @returns {boolean} True if a new session began
+     */
+    function resolveSession(now) {
+      const stored = readStoredJSON(CONFIG.SESSION_STORAGE_KEY);
+
+      if (isActive(stored, now)) {
+        session = { ...stored, lastActivityAt: now };
+        visitor = visitor || loadVisitor();
+
+        if (now - lastWriteAt >= ACTIVITY_WRITE_INTERVAL_MS) {
+          writeStoredJSON(CONFIG.SESSION_STORAGE_KEY, session);
+          lastWriteAt = now;
+        }
+        return false;
+      }
+
+      beginSession(now);
+      return true;
+    }
+
+    /**
+     * Records visitor activity, extending or rolling over the session
+     */
+    function touch() {
+      if (isStarted) {
+        resolveSession(Date.now());
+      }
+    }
+
+    /**
+     * Re-checks the session when the tab becomes visible again
+     */
+    function handleVisibilityChange() {
+      if (!document.hidden) {
+        touch();
+      }
+    }
+
+    /**
+     * Resumes or begins a session and starts listening for activity
+     * @returns {boolean} True if a new session began
+     */
+    function start() {
+      if (isStarted) {
+        return false;
+      }
+
+      isStarted = true;
+      const isNewSession = resolveSession(Date.now());
+
+      ACTIVITY_EVENTS.forEach((eventName) => {
+        window.addEventListener(eventName, touch, { passive: true });
+      });
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+
+      return isNewSession;
+    }
+
+    /**
+     * Stops listening for activity; the stored session is kept
+     */
+    function stop() {
+      ACTIVITY_EVENTS.forEach((eventName) => {
+        window.removeEventListener(eventName, touch);
+      });
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      isStarted = false;
+    }
+
+    /**
+     * Stops tracking and forgets the visitor, e.g. after analytics consent is withdrawn
+     */
+    function clear() {
+      stop();
+      removeStoredItem(CONFIG.SESSION_STORAGE_KEY);
+      removeStoredItem(CONFIG.VISITOR_STORAGE_KEY);
+      session = null;
+      visitor = null;
+    }
+
+    /**
+     * Returns the current session
+     * @returns {Object|null} Session id, number, start time and visitor type
+     */
+    function getSession() {
+      if (!session) {
+        return null;
+      }
+
+      return {
+        sessionId: session.id,
+        sessionNumber: session.number,
+        startedAt: session.startedAt,
+        visitorType: session.number > 1 ? 'returning' : 'new',
+      };
+    }
+
+    /**
+     * Returns GA4 user properties describing the visitor
+     * @returns {Object} User properties
+     */
+    function getUserProperties() {
+      if (!session || !visitor) {
+        return {};
+      }
+
+      return {
+        visitor_type: session.number > 1 ? 'returning' : 'new',
+        session_count: visitor.sessionCount,
+        first_visit_date: new Date(visitor.firstSeenAt).toISOString().slice(0, 10),
+      };
+    }
+
+    /**
+     * Subscribes to session starts, including roll-overs after inactivity
+     * @param {Function} listener - Called with the new session
+     * @returns {Function} Unsubscribe function
+     */
+    function onSessionStart(listener) {
+      sessionStartListeners.add(listener);
+      return () => sessionStartListeners.delete(listener);
+    }
+
+    return Object.freeze({
+      start,
+      stop,
+      clear,
+      touch,
+      getSession,
+      getUserProperties,
+      onSessionStart,
+    });
+  })();
+
+  // ============================================
+  // Campaign Attribution Module
+  // ============================================
+
+  const Attribution = (function createAttributionModule() {
+    const logger = createLogger('Attribution');
+    const UTM_PARAMS = Object.freeze(['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']);
+    const SEARCH_ENGINES = Object.freeze({
+      google: /(^|\.)google\./,
+      bing: /(^|\.)bing\.com$/,
+      duckduckgo: /(^|\.)duckduckgo\.com$/,
+      yahoo: /(^|\.)yahoo\./,
+      ecosia: /(^|\.)ecosia\.org$/,
+    });
+    const HIDDEN_FIELDS = Object.freeze({
+      first: 'attribution_first_touch',
+      last: 'attribution_last_touch',
+    });
+    const GCLID_FIELD = 'attribution_gclid';
+    let currentTouch = null;
+    let clickId = '';
+    let stored = null;
+    let removeEnricher = null;
+    let unsubscribeConsent = null;
+
+    /**
+     * Returns the referrer's hostname when it is another site
+     * @returns {string} Hostname, or "" for direct and internal navigation
+     */
+    function getExternalReferrer() {
+      try {
+        if (!document.referrer) {
+          return '';
+        }
+
+        const referrer = new URL(document.referrer);
+        return referrer.hostname === window.location.hostname ? '' : referrer.hostname;
+      } catch (error) {
+        return '';
+      }
+    }
+
+    /**
+     * Builds the touch for this page view from campaign parameters and the referrer
+     *
+     * Explicit utm_* values win; otherwise gclid implies google / cpc, a search
+     * engine referrer implies organic, and any other site is a referral. The
+     * click id itself is added by getCurrentTouch, as keeping it needs marketing consent.
+     *
+     * @returns {Object} Touch with source, medium, campaign, term, content,
+     *   referrer, landing_page and timestamp
+     */
+    function captureTouch() {
+      const params = new URLSearchParams(window.location.search);
+      const referrer = getExternalReferrer();
+      const hasGclid = params.has('gclid');
+      const utm = UTM_PARAMS.reduce((values, name) => {
+        values[name.slice(4)] = (params.get(name) || '').slice(0, 100);
+        return values;
+      }, {});
+      const searchEngine = Object.keys(SEARCH_ENGINES).find((name) => SEARCH_ENGINES[name].test(referrer));
+
+      let source = '(direct)';
+      let medium = '(none)';
+
+      if (utm.source) {
+        source = utm.source;
+        medium = utm.medium || '(not set)';
+      } else if (hasGclid) {
+        source = 'google';
+        medium = 'cpc';
+      } else if (searchEngine) {
+        source = searchEngine;
+        medium = 'organic';
+      } else if (referrer) {
+        source = referrer;
+        medium = 'referral';
+      }
+
+      return {
+        source,
+        medium,
+        campaign: utm.campaign,
+        term: utm.term,
+        content: utm.content,
+        referrer,
+        landing_page: window.location.pathname,
+        timestamp: Date.now(),
+      };
+    }
+
+    /**
+     * Returns this visit's touch, with the Google Ads click id when marketing consent allows it
+     * @returns {Object} Touch
+     */
+    function getCurrentTouch() {
+      return clickId && ConsentManager.isGranted('marketing')
+        ? { ...currentTouch, gclid: clickId }
+        : currentTouch;
+    }
+
+    /**
+     * Checks whether a touch carries campaign information
+     * @param {Object} touch - Touch
+     * @returns {boolean} True unless the visit was direct
+     */
+    function isCampaignTouch(touch) {
+      return touch.source !== '(direct)';
+    }
+
+    /**
+     * Reads stored touches, discarding expired ones
+     * @returns {{first: Object|null, last: Object|null}} Stored touches
+     */
+    function loadStored() {
+      const value = readStoredJSON(CONFIG.ATTRIBUTION_STORAGE_KEY) || {};
+      const cutoff = Date.now() - CONFIG.ATTRIBUTION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+      const isFresh = (touch) => Boolean(touch) && typeof touch.timestamp === 'number' && touch.timestamp >= cutoff;
+
+      return {
+        first: isFresh(value.first) ? value.first : null,
+        last: isFresh(value.last) ? value.last : null,
+      };
+    }
+
+    /**
+     * Merges this visit into the stored touches
+     *
+     * First touch is kept until it expires. Last touch follows last-non-direct
+     * attribution: a direct visit does not replace an earlier campaign.
+     *
+     * @returns {{first: Object, last: Object}} Touches
+     */
+    function resolveTouches() {
+      const touch = getCurrentTouch();
+      const previous = ConsentManager.isGranted('marketing') ? loadStored() : { first: null, last: null };
+
+      return {
+        first: previous.first || touch,
+        last: isCampaignTouch(touch) || !previous.last ? touch : previous.last,
+      };
+    }
+
+    /**
+     * Saves touches when marketing consent allows it; the consent dialog describes
+     * campaign measurement under Marketing
+     */
+    function persist() {
+      if (ConsentManager.isGranted('marketing')) {
+        writeStoredJSON(CONFIG.ATTRIBUTION_STORAGE_KEY, stored);
+      }
+    }
+
+    /**
+     * Formats a touch for the inquiry email
+     * @param {Object} touch - Touch
+     * @returns {string} Summary such as "google / cpc / spring_open_house (2026-10-01)"
+     */
+    function formatTouch(touch) {
+      const parts = [touch.source, touch.medium, touch.campaign].filter(Boolean);
+      const date = new Date(touch.timestamp).toISOString().slice(0, 10);
+      return `${parts.join(' / ')} (${date})`;
+    }
+
+    /**
+     * Sets a hidden field's value, adding the field if needed
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} name - Field name
+     * @param {string} value - Field value
+     */
+    function setHiddenField(form, name, value) {
+      let input = form.querySelector(`input[type="hidden"][name="${name}"]`);
+
+      if (!input) {
+        input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        form.append(input);
+      }
+
+      input.value = value;
+    }
+
+    /**
+     * Adds or updates the hidden attribution fields on every contact form
+     *
+     * The click id field is only added once there is a click id to send, and is
+     * emptied if marketing consent is withdrawn.
+     */
+    function injectFormFields() {
+      const gclid = stored.last.gclid || '';
+
+      querySelectorAll(SELECTORS.FORMS).forEach((form) => {
+        Object.keys(HIDDEN_FIELDS).forEach((key) => {
+          setHiddenField(form, HIDDEN_FIELDS[key], formatTouch(stored[key]));
+        });
+
+        if (gclid || form.querySelector(`input[type="hidden"][name="${GCLID_FIELD}"]`)) {
+          setHiddenField(form, GCLID_FIELD, gclid);
+        }
+      });
+    }
+
+    /**
+     * Returns the campaign parameters added to every analytics event
+     * @returns {Object} Event parameters
+     */
+    function getEventParams() {
+      if (!stored) {
+        return {};
+      }
+
+      return {
+        campaign_source: stored.last.source,
+        campaign_medium: stored.last.medium,
+        ...(stored.last.campaign && { campaign_name: stored.last.campaign }),
+        first_source: stored.first.source,
+        first_medium: stored.first.medium,
+        ...(stored.first.campaign && { first_campaign: stored.first.campaign }),
+      };
+    }
+
+    /**
+     * Persists or forgets touches as marketing consent changes
+     * @param {Object|null} consent - Category map, or null after revocation
+     */
+    function handleConsentChange(consent) {
+      if (consent && consent.marketing) {
+        stored = resolveTouches();
+        persist();
+      } else {
+        removeStoredItem(CONFIG.ATTRIBUTION_STORAGE_KEY);
+        stored = { first: currentTouch, last: currentTouch };
+      }
+
+      injectFormFields();
+    }
+
+    /**
+     * Captures this visit's touch, enriches events and tags contact forms
+     */
+    function initialize() {
+      currentTouch = captureTouch();
+      clickId = (new URLSearchParams(window.location.search).get('gclid') || '').slice(0, 100);
+      stored = resolveTouches();
+      persist();
+
+      removeEnricher = Analytics.addEnricher(getEventParams);
+      unsubscribeConsent = ConsentManager.onChange(handleConsentChange);
+      injectFormFields();
+
+      logger.info('Attribution captured', {
+        source: currentTouch.source,
+        medium: currentTouch.medium,
+      });
+    }
+
+    /**
+     * Stops enriching events
+     */
+    function destroy() {
+      if (removeEnricher) {
+        removeEnricher();
+        removeEnricher = null;
+      }
+      if (unsubscribeConsent) {
+        unsubscribeConsent();
+        unsubscribeConsent = null;
+      }
+    }
+
+    /**
+     * Returns first- and last-touch attribution
+     * @returns {{first: Object, last: Object}|null} Touches
+     */
+    function getTouches() {
+      return stored ? { first: { ...stored.first }, last: { ...stored.last } } : null;
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      getTouches,
+    });
+  })();
+
+  // ============================================
+  // Engagement Time Tracking Module
+  // ============================================
+
+  const EngagementTracker = (function createEngagementTrackerModule() {
+    const logger = createLogger('EngagementTracker');
+    const ACTIVITY_EVENTS = Object.freeze(['pointerdown', 'pointermove', 'keydown', 'scroll', 'wheel', 'touchstart']);
+    const ACTIVITY_THROTTLE_MS = 1000;
+    const sectionNames = new Map();
+    const sectionsInView = new Set();
+    const pendingDwell = new Map();
+    let observer = null;
+    let idleTimeoutId = null;
+    let isActive = false;
+    let segmentStart = 0;
+    let lastActivityAt = 0;
+    let pendingActiveMs = 0;
+    let totalActiveMs = 0;
+
+    /**
+     * Credits the time since the last checkpoint to the page and the sections in view
+     * @param {number} now - Current timestamp
+     */
+    function checkpoint(now) {
+      if (isActive) {
+        const elapsed = Math.max(0, now - segmentStart);
+        pendingActiveMs += elapsed;
+        totalActiveMs += elapsed;
+
+        sectionsInView.forEach((name) => {
+          pendingDwell.set(name, (pendingDwell.get(name) || 0) + elapsed);
+        });
+      }
+
+      segmentStart = now;
+    }
+
+    /**
+     * Stops the clock
+     */
+    function pause() {
+      checkpoint(Date.now());
+      isActive = false;
+      clearTimeout(idleTimeoutId);
+      idleTimeoutId = null;
+    }
+
+    /**
+     * Pauses after the idle timeout with no input
+     */
+    function handleIdle() {
+      pause();
+      logger.debug('Visitor idle - engagement timer paused');
+    }
+
+    /**
+     * Starts or keeps the clock running on visitor input
+     */
+    function handleActivity() {
+      const now = Date.now();
+
+      if (document.visibilityState === 'hidden') {
+        return;
+      }
+
+      if (!isActive) {
+        segmentStart = now;
+        isActive = true;
+      } else if (now - lastActivityAt < ACTIVITY_THROTTLE_MS) {
+        return;
+      }
+
+      lastActivityAt = now;
+      clearTimeout(idleTimeoutId);
+      idleTimeoutId = setTimeout(handleIdle, CONFIG.ENGAGEMENT_IDLE_TIMEOUT_MS);
+    }
+
+    /**
+     * Updates which sections count as in view
+     * @param {IntersectionObserverEntry[]} entries - Intersection entries
+     */
+    function handleIntersection(entries) {
+      checkpoint(Date.now());
+
+      entries.forEach((entry) => {
+        const name = sectionNames.get(entry.target);
+
+        if (isSectionInView(entry)) {
+          sectionsInView.add(name);
+        } else {
+          sectionsInView.delete(name);
+        }
+      });
+    }
+
+    /**
+     * Sends active time and section dwell accrued since the last report
+     *
+     * Runs before EventQueue's own hide handler (see registration order), so the
+     * events leave in the same sendBeacon flush.
+     *
+     * @param {string} reason - What triggered the report
+     */
+    function report(reason) {
+      checkpoint(Date.now());
+
+      if (pendingActiveMs <= 0) {
+        return;
+      }
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.PAGE_ENGAGEMENT, {
+        engagement_type: reason,
+        engagement_time_msec: Math.round(pendingActiveMs),
+        total_engagement_time_msec: Math.round(totalActiveMs),
+      });
+
+      pendingDwell.forEach((dwellMs, sectionName) => {
+        if (dwellMs >= CONFIG.ENGAGEMENT_MIN_DWELL_MS) {
+          Analytics.trackEvent(ANALYTICS_EVENTS.SECTION_ENGAGEMENT, {
+            section_name: sectionName,
+            dwell_time_msec: Math.round(dwellMs),
+          });
+        }
+      });
+
+      pendingActiveMs = 0;
+      pendingDwell.clear();
+    }
+
+    /**
+     * Pauses and reports when the page is hidden; resumes when it is shown
+     */
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        pause();
+        report('page_hidden');
+      } else {
+        handleActivity();
+      }
+    }
+
+    /**
+     * Reports on page hide in case visibilitychange did not fire first
+     */
+    function handlePageHide() {
+      pause();
+      report('page_hide');
+    }
+
+    /**
+     * Starts the clock, observes sections and listens for input
+     */
+    function initialize() {
+      ACTIVITY_EVENTS.forEach((eventName) => {
+        window.addEventListener(eventName, handleActivity, { passive: true });
+      });
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      window.addEventListener('pagehide', handlePageHide);
+
+      if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(handleIntersection, { threshold: SECTION_VISIBILITY_THRESHOLDS });
+
+        querySelectorAll(SELECTORS.ENGAGEMENT_SECTIONS).forEach((element) => {
+          sectionNames.set(element, getSectionName(element));
+          observer.observe(element);
+        });
+      } else {
+        logger.warn('IntersectionObserver not supported - section dwell time disabled');
+      }
+
+      // Loading the page counts as input
+      handleActivity();
+
+      logger.info('Engagement tracking initialized', { sections: sectionNames.size });
+    }
+
+    /**
+     * Stops the clock while the page sits in the back/forward cache
+     */
+    function suspend() {
+      pause();
+    }
+
+    /**
+     * Restarts the clock after a back/forward cache restore
+     */
+    function resume() {
+      handleActivity();
+    }
+
+    /**
+     * Removes listeners and the observer
+     */
+    function destroy() {
+      pause();
+      ACTIVITY_EVENTS.forEach((eventName) => {
+        window.removeEventListener(eventName, handleActivity);
+      });
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      sectionNames.clear();
+      sectionsInView.clear();
+    }
+
+    /**
+     * Returns active time on this page, excluding idle and hidden periods
+     * @returns {number} Milliseconds
+     */
+    function getActiveTime() {
+      checkpoint(Date.now());
+      return Math.round(totalActiveMs);
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      suspend,
+      resume,
+      getActiveTime,
+    });
+  })();
+
+  // ============================================
+  // Google Analytics 4 Module
+  // ============================================
+
+  const GoogleAnalytics = (function createGoogleAnalyticsModule() {
+    const logger = createLogger('GoogleAnalytics');
+    const scrollDepthTracked = new Set();
+    const listenerCleanups = [];
+    let isInitialized = false;
+
+    /**
+     * Checks if Google Analytics is available
+     * @returns {boolean} True if GA is available
+     */
+    function isAvailable() {
+      return typeof window.gtag === 'function' && typeof window.dataLayer !== 'undefined';
+    }
+
+    /**
+     * Injects the gtag.js library once analytics consent exists
+     */
+    function loadLibrary() {
+      const scriptUrl = `${CONFIG.GA_SCRIPT_URL}?id=${encodeURIComponent(CONFIG.GA_MEASUREMENT_ID)}`;
+
+      if (querySelector(`script[src="${scriptUrl}"]`)) {
+        return;
+      }
+
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = scriptUrl;
+      script.onerror = () => {
+        logger.warn('Failed to load gtag.js library', { src: scriptUrl });
+      };
+      document.head.appendChild(script);
+    }
+
+    /**
+     * Initializes Google Analytics 4
+     */
+    function initialize() {
+      if (isInitialized) {
+        return;
+      }
+
+      if (!ConsentManager.isGranted('analytics')) {
+        logger.info('Google Analytics deferred until analytics consent is granted');
+        return;
+      }
+
+      if (!isAvailable()) {
+        logger.warn('Google Analytics not available - gtag function not found');
+        return;
+      }
+
+      try {
+        loadLibrary();
+
+        // Set up enhanced measurement
+        window.gtag('config', CONFIG.GA_MEASUREMENT_ID, {
+          send_page_view: true,
+          page_title: document.title,
+          page_location: PIIScrubber.getPageLocation(),
+          page_path: window.location.pathname,
+          page_referrer: PIIScrubber.scrubText(document.referrer),
+        });
+
+        // Track session start, including roll-overs after inactivity
+        listenerCleanups.push(SessionManager.onSessionStart(handleSessionStart));
+        if (!SessionManager.start()) {
+          setUserProperties(SessionManager.getUserProperties());
+        }
+        listenerCleanups.push(SessionManager.stop);
+
+        // Set up scroll depth tracking, which is non-essential on slow connections
+        listenerCleanups.push(AdaptiveLoading.deferNonEssential(initializeScrollDepthTracking));
+
+        isInitialized = true;
+        logger.info('Google Analytics 4 initialized successfully');
+      } catch (error) {
+        logger.error('Failed to initialize Google Analytics', {
+          error: error.message,
+        });
+      }
+    }
+
+    /**
+     * Reports a new session and refreshes the visitor's user properties
+     * @param {Object} session - Session from SessionManager
+     */
+    function handleSessionStart(session) {
+      setUserProperties(SessionManager.getUserProperties());
+      trackEvent('session_start', {
+        session_number: session.sessionNumber,
+        engagement_time_msec: 0,
+      });
+    }
+
+    /**
+     * Tracks a Google Analytics event
+     * @param {string} eventName - Event name
+     * @param {Object} eventParams - Event parameters
+     * @returns {boolean} True if the event was handed to gtag
+     */
+    function trackEvent(eventName, eventParams = {}) {
+      if (!ConsentManager.isGranted('analytics')) {
+        return false;
+      }
+
+      if (!isAvailable()) {
+        logger.warn('Cannot track event - Google Analytics not available', {
+          eventName,
+        });
+        return false;
+      }
+
+      try {
+        const session = SessionManager.getSession();
+        const enrichedParams = {
+          ...eventParams,
+          ...(session && { session_id: session.sessionId }),
+          timestamp: Date.now(),
+          page_location: PIIScrubber.getPageLocation(),
+          page_path: window.location.pathname,
+          page_title: document.title,
+        };
+
+        window.gtag('event', eventName, enrichedParams);
+
+        logger.debug(`GA4 event tracked: ${eventName}`, enrichedParams);
+        return true;
+      } catch (error) {
+        logger.error('Failed to track GA4 event', {
+          eventName,
+          error: error.message,
+        });
+        return false;
+      }
+    }
+
+    /**
+     * Tracks conversion events
+     * @param {string} conversionName - Conversion name
+     * @param {Object} conversionData - Conversion data
+     */
+    function trackConversion(conversionName, conversionData = {}) {
+      Analytics.trackEvent(ANALYTICS_EVENTS.CONVERSION, {
+        conversion_name: conversionName,
+        ...conversionData,
+      });
+    }
+
+    /**
+     * Tracks user engagement
+     * @param {string} engagementType - Type of engagement
+     * @param {Object} engagementData - Engagement data
+     */
+    function trackEngagement(engagementType, engagementData = {}) {
+      Analytics.trackEvent(ANALYTICS_EVENTS.PAGE_ENGAGEMENT, {
+        engagement_type: engagementType,
+        engagement_time_msec: EngagementTracker.getActiveTime(),
+        ...engagementData,
+      });
+    }
+
+    /**
+     * Initializes scroll depth tracking
+     */
+    function initializeScrollDepthTracking() {
+      const scrollDepths = [25, 50, 75, 90, 100];
+
+      const trackScrollDepth = debounce(() => {
+        const scrollPercentage = Math.round(
+          ((window.scrollY + window.innerHeight) / document.documentElement.scrollHeight) * 100
+        );
+
+        scrollDepths.forEach((depth) => {
+          if (scrollPercentage >= depth && !scrollDepthTracked.has(depth)) {
+            scrollDepthTracked.add(depth);
+            Analytics.trackEvent(ANALYTICS_EVENTS.SCROLL_DEPTH, {
+              scroll_depth: depth,
+              scroll_percentage: scrollPercentage,
+            });
+          }
+        });
+      }, 500);
+
+      window.addEventListener('scroll', trackScrollDepth, { passive: true });
+      return () => window.removeEventListener('scroll', trackScrollDepth);
+    }
+
+    /**
+     * Sets user properties
+     * @param {Object} properties - User properties
+     */
+    function setUserProperties(properties) {
+      if (!ConsentManager.isGranted('analytics')) {
+        return;
+      }
+
+      if (!isAvailable()) {
+        logger.warn('Cannot set user properties - Google Analytics not available');
+        return;
+      }
+
+      try {
+        window.gtag('set', 'user_properties', properties);
+        logger.debug('User properties set', properties);
+      } catch (error) {
+        logger.error('Failed to set user properties', {
+          error: error.message,
+        });
+      }
+    }
+
+    /**
+     * Removes scroll and session listeners
+     */
+    function destroy() {
+      if (!isInitialized) {
+        return;
+      }
+
+      listenerCleanups.splice(0).forEach((cleanup) => cleanup());
+      isInitialized = false;
+      logger.info('Google Analytics listeners removed');
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      trackEvent,
+      trackConversion,
+      trackEngagement,
+      setUserProperties,
+      isAvailable,
+    });
+  })();
+
+  // ============================================
+  // Analytics Adapter Registry
+  // ============================================
+
+  const AnalyticsAdapters = (function createAnalyticsAdaptersModule() {
+    const logger = createLogger('AnalyticsAdapters');
+    const adapters = new Map();
+
+    /**
+     * GA4 adapter - forwards events to gtag, which handles its own transport
+     * @returns {Object} Adapter
+     */
+    function createGA4Adapter() {
+      return {
+        // Without analytics consent gtag is torn down, so held events can never be sent
+        isAllowed() {
+          return ConsentManager.isGranted('analytics');
+        },
+        isReady() {
+          return GoogleAnalytics.isAvailable();
+        },
+        send(eventName, eventData) {
+          return GoogleAnalytics.trackEvent(eventName, eventData);
+        },
+      };
+    }
+
+    /**
+     * GTM adapter - pushes events onto the dataLayer for tag manager triggers
+     * @returns {Object} Adapter
+     */
+    function createGTMAdapter() {
+      return {
+        send(eventName, eventData) {
+          window.dataLayer = window.dataLayer || [];
+          window.dataLayer.push({
+            event: eventName,
+            timestamp: Date.now(),
+            url: PIIScrubber.getPageLocation(),
+            ...eventData,
+          });
+        },
+      };
+    }
+
+    /**
+     * First-party beacon adapter - POSTs batches of minimal payloads to our own collector
+     * @param {Object} options - Adapter options
+     * @param {string} options.endpoint - Collector URL
+     * @returns {Object} Adapter
+     */
+    function createBeaconAdapter({ endpoint }) {
+      /**
+       * Serializes a batch for the collector
+       * @param {Object[]} events - Queued events
+       * @returns {string} Request body
+       */
+      function serializeBatch(events) {
+        return JSON.stringify({
+          page_path: window.location.pathname,
+          sent_at: Date.now(),
+          events: events.map(({ eventName, eventData, queuedAt }) => ({
+            event: eventName,
+            params: eventData,
+            timestamp: queuedAt,
+          })),
+        });
+      }
+
+      /**
+       * Sends a batch to the collector
+       * @param {Object[]} events - Queued events
+       * @param {Object} options - Delivery options
+       * @param {boolean} options.unloading - Use sendBeacon, the only transport guaranteed to outlive the page
+       * @returns {Promise<boolean>|boolean} True if the collector accepted the batch
+       */
+      function sendBatch(events, { unloading = false } = {}) {
+        const body = serializeBatch(events);
+
+        if (unloading) {
+          if (typeof navigator.sendBeacon !== 'function') {
+            return false;
+          }
+          return navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+        }
+
+        return fetch(endpoint, {
+          method: 'POST',
+          body,
+          headers: { 'Content-Type': 'application/json' },
+          keepalive: body.length < 60000,
+          credentials: 'omit',
+        }).then((response) => response.ok);
+      }
+
+      return {
+        send(eventName, eventData) {
+          return sendBatch([{ eventName, eventData, queuedAt: Date.now() }], { unloading: true });
+        },
+        sendBatch,
+      };
+    }
+
+    /**
+     * Console adapter - logs events without sending them anywhere
+     * @returns {Object} Adapter
+     */
+    function createConsoleAdapter() {
+      return {
+        send(eventName, eventData) {
+          logger.info(`[console adapter] ${eventName}`, eventData);
+        },
+      };
+    }
+
+    /**
+     * Checks whether an adapter should receive an event
+     * @param {Object} options - Adapter options
+     * @param {string} eventName - Event name
+     * @returns {boolean} True if the event passes the adapter's filters
+     */
+    function acceptsEvent(options, eventName) {
+      if (Array.isArray(options.include) && !options.include.includes(eventName)) {
+        return false;
+      }
+
+      if (Array.isArray(options.exclude) && options.exclude.includes(eventName)) {
+        return false;
+      }
+
+      return true;
+    }
+
+    /**
+     * Registers an adapter
+     *
+     * Adapters implement send(eventName, eventData) and may add sendBatch(events, { unloading })
+     * for batched delivery, isReady() to hold events until their backend has loaded and
+     * isAllowed() to drop queued events they may no longer send.
+     * Either send method may return false (or a Promise resolving to false) to request a retry.
+     *
+     * @param {string} name - Adapter name
+     * @param {Object} adapter - Adapter implementation
+     * @param {Object} options - Adapter options
+     * @param {boolean} options.enabled - Whether the adapter receives events (default: true)
+     * @param {string[]} options.include - Only these events are sent
+     * @param {string[]} options.exclude - These events are never sent
+     * @param {Object} options.eventNameMap - Maps internal event names to adapter event names
+     */
+    function register(name, adapter, options = {}) {
+      if (!adapter || typeof adapter.send !== 'function') {
+        logger.error(`Analytics adapter "${name}" must implement send()`);
+        return;
+      }
+
+      if (adapters.has(name)) {
+        logger.warn(`Replacing analytics adapter: ${name}`);
+      }
+
+      adapters.set(name, {
+        adapter,
+        options: { enabled: true, eventNameMap: {}, ...options },
+      });
+    }
+
+    /**
+     * Queues an event for every enabled adapter whose filters accept it
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     * @param {string} consentCategory - Consent category the event was allowed under
+     */
+    function dispatch(eventName, eventData, consentCategory) {
+      adapters.forEach(({ options }, name) => {
+        if (!options.enabled || !acceptsEvent(options, eventName)) {
+          return;
+        }
+
+        const mappedName = options.eventNameMap[eventName] || eventName;
+        EventQueue.enqueue(name, mappedName, { ...eventData }, consentCategory);
+      });
+    }
+
+    /**
+     * Delivers a batch of queued events through one adapter
+     * @param {string} name - Adapter name
+     * @param {Object[]} events - Queued events
+     * @param {Object} options - Delivery options
+     * @param {boolean} options.unloading - True when the page is being hidden or unloaded
+     * @returns {Promise<Object[]>|Object[]} Events to retry; empty when all were accepted
+     *   or dropped
+     */
+    function deliver(name, events, { unloading = false } = {}) {
+      const registration = adapters.get(name);
+
+      // Events for adapters that no longer exist cannot be delivered; drop them
+      if (!registration || !registration.options.enabled) {
+        return [];
+      }
+
+      const { adapter } = registration;
+
+      if (typeof adapter.isAllowed === 'function' && !adapter.isAllowed()) {
+        logger.debug(`Dropped ${events.length} events the ${name} adapter may no longer send`);
+        return [];
+      }
+
+      // Consent may have been withdrawn since the events were queued
+      const permitted = events.filter((entry) => EventQueue.isPermitted(entry));
+      if (permitted.length < events.length) {
+        logger.debug(`Dropped ${events.length - permitted.length} ${name} events whose consent was withdrawn`);
+      }
+      if (permitted.length === 0) {
+        return [];
+      }
+
+      if (typeof adapter.isReady === 'function' && !adapter.isReady()) {
+        return permitted;
+      }
+
+      if (typeof adapter.sendBatch === 'function') {
+        const accepted = adapter.sendBatch(permitted, { unloading });
+
+        return accepted && typeof accepted.then === 'function'
+          ? accepted.then((ok) => (ok ? [] : permitted))
+          : (accepted ? [] : permitted);
+      }
+
+      // Events before the first failure were sent; retrying them would duplicate hits
+      const failedIndex = permitted.findIndex(({ eventName, eventData }) => adapter.send(eventName, eventData) === false);
+      return failedIndex === -1 ? [] : permitted.slice(failedIndex);
+    }
+
+    /**
+     * Lists registered adapters and whether they are enabled
+     * @returns {Object} Adapter name to enabled flag
+     */
+    function list() {
+      const result = {};
+      adapters.forEach(({ options }, name) => {
+        result[name] = options.enabled;
+      });
+      return result;
+    }
+
+    register('ga4', createGA4Adapter(), CONFIG.ANALYTICS_ADAPTERS.ga4);
+    register('gtm', createGTMAdapter(), CONFIG.ANALYTICS_ADAPTERS.gtm);
+    register('beacon', createBeaconAdapter(CONFIG.ANALYTICS_ADAPTERS.beacon), CONFIG.ANALYTICS_ADAPTERS.beacon);
+    register('console', createConsoleAdapter(), CONFIG.ANALYTICS_ADAPTERS.console);
+
+    return Object.freeze({
+      register,
+      dispatch,
+      deliver,
+      list,
+    });
+  })();
+
+  // ============================================
+  // Analytics Event Queue
+  // ============================================
+
+  const EventQueue = (function createEventQueueModule() {
+    const logger = createLogger('EventQueue');
+    // Each page keeps its own storage key so open tabs never overwrite each other's events
+    const KEY_PREFIX = `${CONFIG.EVENT_QUEUE_STORAGE_KEY}:`;
+    const storageKey = `${KEY_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+    // A key left this long without a pagehide belongs to a tab the browser discarded
+    const ABANDONED_KEY_MS = 10 * 60 * 1000;
+    const persistedIds = new Set();
+    let entries = [];
+    let flushTimeoutId = null;
+    let retryTimeoutId = null;
+    let retryAttempt = 0;
+    let isFlushing = false;
+    let sequence = 0;
+
+    /**
+     * Groups queued entries by adapter
+     * @param {Object[]} batch - Queued entries
+     * @returns {Map<string, Object[]>} Entries keyed by adapter name
+     */
+    function groupByAdapter(batch) {
+      return batch.reduce((groups, entry) => {
+        if (!groups.has(entry.adapterName)) {
+          groups.set(entry.adapterName, []);
+        }
+        groups.get(entry.adapterName).push(entry);
+        return groups;
+      }, new Map());
+    }
+
+    /**
+     * Lists the storage keys holding persisted queues, this page's included
+     * @returns {string[]} Storage keys
+     */
+    function getStoredKeys() {
+      try {
+        const keys = [];
+        for (let index = 0; index < window.localStorage.length; index += 1) {
+          const key = window.localStorage.key(index);
+          if (key === CONFIG.EVENT_QUEUE_STORAGE_KEY || key.startsWith(KEY_PREFIX)) {
+            keys.push(key);
+          }
+        }
+        return keys;
+      } catch (error) {
+        return [];
+      }
+    }
+
+    /**
+     * Saves unsent entries so they survive offline periods and page unloads
+     *
+     * localStorage is used rather than IndexedDB because it is synchronous, so the
+     * write is guaranteed to complete inside a pagehide handler. Whoever removes a
+     * page's key owns the entries in it: the page itself once they are delivered, or
+     * the next page that restores them.
+     *
+     * @param {boolean} closing - True when the page is unloading for good, so the next
+     *   page may restore the entries straight away
+     */
+    function persist(closing = false) {
+      releaseClaimedEntries();
+      persistedIds.clear();
+
+      if (entries.length === 0) {
+        removeStoredItem(storageKey);
+        return;
+      }
+
+      if (writeStoredJSON(storageKey, { updatedAt: Date.now(), closing, entries })) {
+        entries.forEach((entry) => persistedIds.add(entry.id));
+      }
+    }
+
+    /**
+     * Drops persisted entries that another page has restored since they were saved
+     */
+    function releaseClaimedEntries() {
+      if (persistedIds.size === 0 || readStoredJSON(storageKey) !== null) {
+        return;
+      }
+
+      entries = entries.filter((entry) => !persistedIds.has(entry.id));
+      persistedIds.clear();
+    }
+
+    /**
+     * Forgets this page's persisted copy once its entries are delivered
+     */
+    function removePersisted() {
+      persistedIds.clear();
+      removeStoredItem(storageKey);
+    }
+
+    /**
+     * Checks whether the visitor still consents to the category an entry was queued under
+     * @param {Object} entry - Queued entry
+     * @returns {boolean} True if the entry may be delivered
+     */
+    function isPermitted(entry) {
+      // Entries persisted before categories were recorded were analytics events
+      return ConsentManager.isGranted(entry.consentCategory || 'analytics');
+    }
+
+    /**
+     * Loads entries left by pages that have closed or were discarded; queues of pages
+     * still open stay with them
+     * @returns {Object[]} Restored entries that have not expired and are still consented to
+     */
+    function restore() {
+      const now = Date.now();
+      const cutoff = now - CONFIG.EVENT_QUEUE_MAX_AGE_MS;
+      const restored = [];
+
+      getStoredKeys().forEach((key) => {
+        const stored = readStoredJSON(key);
+        // Queues saved before per-page keys were a bare array
+        const storedEntries = Array.isArray(stored) ? stored : (stored && stored.entries) || [];
+        const isReleased = Array.isArray(stored) || !stored || stored.closing ||
+          typeof stored.updatedAt !== 'number' || stored.updatedAt < now - ABANDONED_KEY_MS;
+
+        if (isReleased) {
+          removeStoredItem(key);
+          restored.push(...storedEntries);
+        }
+      });
+
+      return restored.filter((entry) => entry && entry.adapterName && entry.queuedAt >= cutoff && isPermitted(entry));
+    }
+
+    /**
+     * Schedules a regular flush if one is not already pending
+     */
+    function scheduleFlush() {
+      if (flushTimeoutId !== null || retryTimeoutId !== null) {
+        return;
+      }
+
+      flushTimeoutId = setTimeout(() => {
+        flushTimeoutId = null;
+        flush();
+      }, CONFIG.EVENT_QUEUE_FLUSH_INTERVAL_MS);
+    }
+
+    /**
+     * Schedules a retry with exponential backoff and jitter
+     */
+    function scheduleRetry() {
+      if (retryTimeoutId !== null) {
+        return;
+      }
+
+      const baseDelay = Math.min(
+        CONFIG.EVENT_QUEUE_RETRY_BASE_MS * 2 ** retryAttempt,
+        CONFIG.EVENT_QUEUE_RETRY_MAX_MS
+      );
+      const delay = Math.round(baseDelay / 2 + Math.random() * (baseDelay / 2));
+      retryAttempt += 1;
+
+      retryTimeoutId = setTimeout(() => {
+        retryTimeoutId = null;
+        flush();
+      }, delay);
+
+      logger.debug('Analytics queue retry scheduled', { delay, pending: entries.length });
+    }
+
+    /**
+     * Puts failed entries back at the front of the queue, dropping exhausted ones
+     * @param {Object[]} failedEntries - Entries whose delivery failed
+     */
+    function requeue(failedEntries) {
+      const retryable = failedEntries
+        .map((entry) => ({ ...entry, attempts: entry.attempts + 1 }))
+        .filter((entry) => entry.attempts < CONFIG.EVENT_QUEUE_MAX_ATTEMPTS);
+
+      const droppedCount = failedEntries.length - retryable.length;
+      if (droppedCount > 0) {
+        logger.warn('Dropping analytics events after repeated delivery failures', {
+          dropped: droppedCount,
+        });
+      }
+
+      entries = [...retryable, ...entries];
+    }
+
+    /**
+     * Adds an event to the outbound queue
+     * @param {string} adapterName - Adapter that should deliver the event
+     * @param {string} eventName - Event name (already mapped for the adapter)
+     * @param {Object} eventData - Event data
+     * @param {string} consentCategory - Consent category the event needs (default: analytics)
+     */
+    function enqueue(adapterName, eventName, eventData, consentCategory = 'analytics') {
+      sequence += 1;
+      entries.push({
+        id: `${Date.now()}-${sequence}`,
+        adapterName,
+        eventName,
+        eventData,
+        consentCategory,
+        queuedAt: Date.now(),
+        attempts: 0,
+      });
+
+      if (entries.length > CONFIG.EVENT_QUEUE_MAX_SIZE) {
+        entries.splice(0, entries.length - CONFIG.EVENT_QUEUE_MAX_SIZE);
+        logger.warn('Analytics queue full - oldest events dropped');
+      }
+
+      // Events tracked from hide handlers that run after ours must still leave now
+      if (document.visibilityState === 'hidden') {
+        flushOnHide();
+      } else if (entries.length >= CONFIG.EVENT_QUEUE_BATCH_SIZE) {
+        flush();
+      } else {
+        scheduleFlush();
+      }
+    }
+
+    /**
+     * Delivers queued events in batches
+     * @returns {Promise<void>}
+     */
+    async function flush() {
+      releaseClaimedEntries();
+
+      if (isFlushing || entries.length === 0) {
+        return;
+      }
+
+      if (flushTimeoutId !== null) {
+        clearTimeout(flushTimeoutId);
+        flushTimeoutId = null;
+      }
+
+      if (navigator.onLine === false) {
+        persist();
+        return;
+      }
+
+      isFlushing = true;
+      const failedEntries = [];
+
+      try {
+        while (entries.length > 0) {
+          const batch = entries.splice(0, CONFIG.EVENT_QUEUE_BATCH_SIZE);
+          const groups = groupByAdapter(batch);
+
+          for (const [adapterName, group] of groups) {
+            try {
+              const undelivered = await AnalyticsAdapters.deliver(adapterName, group);
+              failedEntries.push(...undelivered);
+            } catch (error) {
+              logger.warn('Analytics batch delivery failed', {
+                adapter: adapterName,
+                count: group.length,
+                error: error.message,
+              });
+              failedEntries.push(...group);
+            }
+          }
+        }
+      } finally {
+        isFlushing = false;
+      }
+
+      if (failedEntries.length > 0) {
+        requeue(failedEntries);
+        persist();
+        scheduleRetry();
+      } else {
+        retryAttempt = 0;
+        removePersisted();
+      }
+    }
+
+    /**
+     * Delivers what can be sent synchronously and persists the rest before the page goes away
+     * @param {boolean} closing - True when the page is unloading for good
+     */
+    function flushOnHide(closing = false) {
+      releaseClaimedEntries();
+
+      if (entries.length === 0) {
+        return;
+      }
+
+      if (navigator.onLine === false) {
+        persist(closing);
+        return;
+      }
+
+      const pending = entries.splice(0, entries.length);
+      const groups = groupByAdapter(pending);
+
+      groups.forEach((group, adapterName) => {
+        try {
+          const undelivered = AnalyticsAdapters.deliver(adapterName, group, { unloading: true });
+          // Asynchronous deliveries cannot be confirmed during unload; keep them for next time
+          entries.push(...(Array.isArray(undelivered) ? undelivered : group));
+        } catch (error) {
+          entries.push(...group);
+        }
+      });
+
+      persist(closing);
+    }
+
+    /**
+     * Discards every queued and persisted event, including other tabs' persisted queues
+     */
+    function clear() {
+      entries = [];
+      persistedIds.clear();
+      getStoredKeys().forEach((key) => removeStoredItem(key));
+    }
+
+    /**
+     * Discards queued and persisted events whose consent category is no longer granted,
+     * including those in other tabs' persisted queues
+     */
+    function discardDenied() {
+      const count = entries.length;
+      entries = entries.filter(isPermitted);
+
+      if (entries.length < count) {
+        logger.info('Discarded analytics events after consent was withdrawn', { count: count - entries.length });
+      }
+
+      getStoredKeys().forEach((key) => {
+        const stored = readStoredJSON(key);
+
+        if (key === storageKey || Array.isArray(stored) || !stored || !Array.isArray(stored.entries)) {
+          return;
+        }
+
+        const permitted = stored.entries.filter(isPermitted);
+        if (permitted.length === 0) {
+          removeStoredItem(key);
+        } else if (permitted.length < stored.entries.length) {
+          writeStoredJSON(key, { ...stored, entries: permitted });
+        }
+      });
+
+      if (persistedIds.size > 0) {
+        persist();
+      }
+    }
+
+    /**
+     * Handles the browser coming back online
+     */
+    function handleOnline() {
+      retryAttempt = 0;
+      flush();
+    }
+
+    /**
+     * Handles the browser going offline
+     */
+    function handleOffline() {
+      persist();
+    }
+
+    /**
+     * Handles the page being unloaded or entering the back/forward cache
+     * @param {PageTransitionEvent} event - pagehide event
+     */
+    function handlePageHide(event) {
+      flushOnHide(!event.persisted);
+    }
+
+    /**
+     * Handles the page becoming hidden
+     */
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        flushOnHide();
+      }
+    }
+
+    /**
+     * Cancels pending flush and retry timers
+     */
+    function clearTimers() {
+      clearTimeout(flushTimeoutId);
+      clearTimeout(retryTimeoutId);
+      flushTimeoutId = null;
+      retryTimeoutId = null;
+    }
+
+    /**
+     * Restores persisted events and wires connectivity and page lifecycle listeners
+     */
+    function initialize() {
+      const restored = restore();
+
+      if (restored.length > 0) {
+        entries = [...restored, ...entries];
+        logger.info('Restored unsent analytics events', { count: restored.length });
+        scheduleFlush();
+      }
+
+      window.addEventListener('online', handleOnline);
+      window.addEventListener('offline', handleOffline);
+      window.addEventListener('pagehide', handlePageHide);
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    /**
+     * Stops timers while the page sits in the back/forward cache
+     */
+    function suspend() {
+      clearTimers();
+    }
+
+    /**
+     * Resumes delivery after a back/forward cache restore
+     *
+     * Unsent entries stayed in memory, so the copy persisted on hide is dropped to avoid
+     * delivering them twice; entries another page restored meanwhile are dropped from memory.
+     */
+    function resume() {
+      releaseClaimedEntries();
+      removePersisted();
+      retryAttempt = 0;
+      flush();
+    }
+
+    /**
+     * Removes listeners and timers; unsent events are persisted for the next page
+     */
+    function destroy() {
+      clearTimers();
+      persist();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('pagehide', handlePageHide);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }
+
+    return Object.freeze({
+      initialize,
+      suspend,
+      resume,
+      destroy,
+      enqueue,
+      flush,
+      clear,
+      discardDenied,
+      isPermitted,
+    });
+  })();
+
+  // ============================================
+  // PII Scrubbing
+  // ============================================
+
+  const PIIScrubber = (function createPIIScrubberModule() {
+    const EMAIL_PATTERN = /[\w.%+-]+(?:@|%40)[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi;
+    // North American and international numbers; the prefix group stands in for a
+    // lookbehind so longer digit runs such as timestamps are left alone
+    const PHONE_PATTERN = /(^|[^\w+.])((?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{4})(?!\w)/g;
+    const REDACTED = '[redacted]';
+    const sensitiveParams = new Set(CONFIG.PII_QUERY_PARAMS.map((name) => name.toLowerCase()));
+    const sensitiveParamPattern = new RegExp(
+      `([?&#;](?:${CONFIG.PII_QUERY_PARAMS.map(escapeRegExp).join('|')})=)[^&#\\s]*`,
+      'gi'
+    );
+
+    /**
+     * Escapes a string for use inside a regular expression
+     * @param {string} value - Literal text
+     * @returns {string} Escaped text
+     */
+    function escapeRegExp(value) {
+      return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Redacts email addresses, phone numbers and sensitive query parameters in a string
+     *
+     * Works on URLs and free text alike, so a URL embedded in a longer value is covered.
+     *
+     * @param {string} value - Text or URL
+     * @returns {string} Scrubbed text
+     */
+    function scrubText(value) {
+      if (typeof value !== 'string' || value === '') {
+        return value;
+      }
+
+      return value
+        .replace(sensitiveParamPattern, `$1${REDACTED}`)
+        .replace(EMAIL_PATTERN, '[redacted_email]')
+        .replace(PHONE_PATTERN, '$1[redacted_phone]');
+    }
+
+    /**
+     * Scrubs every string in a value, recursing into arrays and objects
+     * @param {*} value - Value
+     * @returns {*} Scrubbed copy
+     */
+    function scrubValue(value) {
+      if (typeof value === 'string') {
+        return scrubText(value);
+      }
+      if (Array.isArray(value)) {
+        return value.map(scrubValue);
+      }
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+
+      const scrubbed = {};
+      Object.entries(value).forEach(([key, entry]) => {
+        scrubbed[key] = scrubValue(entry);
+      });
+      return scrubbed;
+    }
+
+    /**
+     * Scrubs an event payload
+     *
+     * Top-level parameters named like a sensitive query parameter (e.g. a
+     * data-track-email attribute) are redacted outright; nested values such as
+     * performance entry names are only pattern-scrubbed.
+     *
+     * @param {Object} params - Event parameters
+     * @returns {Object} Scrubbed copy
+     */
+    function scrubParams(params) {
+      const scrubbed = {};
+
+      Object.entries(params).forEach(([key, value]) => {
+        scrubbed[key] = sensitiveParams.has(key.toLowerCase()) && value !== null && value !== ''
+          ? REDACTED
+          : scrubValue(value);
+      });
+
+      return scrubbed;
+    }
+
+    /**
+     * Returns the current page URL with personal data removed
+     * @returns {string} Scrubbed URL
+     */
+    function getPageLocation() {
+      return scrubText(window.location.href);
+    }
+
+    return Object.freeze({
+      scrubText,
+      scrubParams,
+      getPageLocation,
+    });
+  })();
+
+  // ============================================
+  // Analytics Event Schema
+  // ============================================
+
+  const EventSchema = (function createEventSchemaModule() {
+    const logger = createLogger('EventSchema');
+    const reported = new Set();
+    const patternCache = new Map();
+    const registered = new Map();
+
+    /**
+     * Declares an event created at runtime, such as a form's own funnel events
+     * @param {string} eventName - Event name
+     * @param {Object} schema - Parameter types keyed by name
+     */
+    function register(eventName, schema) {
+      registered.set(eventName, schema);
+    }
+
+    /**
+     * Looks up the schema for an event: ANALYTICS_EVENT_SCHEMAS config, then
+     * runtime registrations, then the built-in schemas
+     * @param {string} eventName - Event name
+     * @returns {Object|null} Parameter types keyed by name, or null when undeclared
+     */
+    function getSchema(eventName) {
+      return CONFIG.ANALYTICS_EVENT_SCHEMAS[eventName] ||
+        registered.get(eventName) ||
+        ANALYTICS_EVENT_SCHEMAS[eventName] ||
+        null;
+    }
+
+    /**
+     * Converts a wildcard parameter name into a regular expression
+     * @param {string} name - Name containing "*"
+     * @returns {RegExp} Pattern
+     */
+    function toPattern(name) {
+      if (!patternCache.has(name)) {
+        const source = name.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        patternCache.set(name, new RegExp(`^${source}$`));
+      }
+      return patternCache.get(name);
+    }
+
+    /**
+     * Finds the declared type(s) for a parameter
+     * @param {Object} schema - Event schema
+     * @param {string} paramName - Parameter name
+     * @returns {string[]|null} Allowed types, or null when undeclared
+     */
+    function getParamTypes(schema, paramName) {
+      const declaredName = Object.prototype.hasOwnProperty.call(schema, paramName)
+        ? paramName
+        : Object.keys(schema).find((name) => name.includes('*') && toPattern(name).test(paramName));
+
+      if (!declaredName) {
+        return null;
+      }
+
+      const types = schema[declaredName];
+      return Array.isArray(types) ? types : [types];
+    }
+
+    /**
+     * Describes a value's type in schema terms
+     * @param {*} value - Value
+     * @returns {string} Type name
+     */
+    function describeType(value) {
+      if (Array.isArray(value)) {
+        return 'array';
+      }
+      return value === null ? 'null' : typeof value;
+    }
+
+    /**
+     * Checks an event against its schema
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Parameters as passed by the caller
+     * @returns {string[]} Problems found
+     */
+    function check(eventName, eventData) {
+      const schema = getSchema(eventName);
+
+      if (!schema) {
+        return [`unknown event "${eventName}" - declare it in ANALYTICS_EVENT_SCHEMAS`];
+      }
+
+      const problems = [];
+
+      Object.entries(eventData).forEach(([paramName, value]) => {
+        if (value === undefined) {
+          return;
+        }
+
+        const types = getParamTypes(schema, paramName);
+
+        if (!types) {
+          problems.push(`undeclared parameter "${paramName}"`);
+        } else if (!types.includes(describeType(value))) {
+          problems.push(`parameter "${paramName}" should be ${types.join(' or ')}, got ${describeType(value)}`);
+        }
+      });
+
+      return problems;
+    }
+
+    /**
+     * Warns about schema violations while debugging; a no-op in production
+     *
+     * Each distinct problem is reported once per page. Events are never altered or dropped.
+     *
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Parameters as passed by the caller
+     */
+    function validate(eventName, eventData) {
+      if (Logger.getLevel() !== 'debug') {
+        return;
+      }
+
+      check(eventName, eventData).forEach((problem) => {
+        const key = `${eventName}:${problem}`;
+
+        if (!reported.has(key)) {
+          reported.add(key);
+          logger.warn(`Analytics schema: ${problem}`, { eventName });
+        }
+      });
+    }
+
+    return Object.freeze({
+      register,
+      getSchema,
+      check,
+      validate,
+    });
+  })();
+
+  // ============================================
+  // Analytics Module
+  // ============================================
+
+  const Analytics = (function createAnalyticsModule() {
+    const logger = createLogger('Analytics');
+    const EVENT_CONSENT_CATEGORIES = Object.freeze({
+      [ANALYTICS_EVENTS.PERFORMANCE_METRIC]: 'performance',
+      [ANALYTICS_EVENTS.PERFORMANCE_BUDGET_EXCEEDED]: 'performance',
+    });
+    const pendingEvents = [];
+    const eventListeners = new Set();
+    const enrichers = new Set();
+
+    /**
+     * Adds parameters to every event tracked from now on
+     * @param {Function} enricher - Called with (eventName, eventData); returns
+     *   parameters to merge, which the event's own parameters take precedence over
+     * @returns {Function} Removal function
+     */
+    function addEnricher(enricher) {
+      enrichers.add(enricher);
+      return () => enrichers.delete(enricher);
+    }
+
+    /**
+     * Merges enricher parameters under an event's own parameters
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     * @returns {Object} Enriched event data
+     */
+    function applyEnrichers(eventName, eventData) {
+      if (enrichers.size === 0) {
+        return eventData;
+      }
+
+      const extra = {};
+
+      enrichers.forEach((enricher) => {
+        try {
+          Object.assign(extra, enricher(eventName, eventData));
+        } catch (error) {
+          logger.warn('Analytics enricher failed', { error: error.message });
+        }
+      });
+
+      return { ...extra, ...eventData };
+    }
+
+    /**
+     * Subscribes to every event passed to trackEvent, whatever its consent outcome
+     *
+     * Queued events are reported again as "dispatched" once consent releases them.
+     *
+     * @param {Function} listener - Called with (eventName, eventData, status) where
+     *   status is "queued", "blocked" or "dispatched"
+     * @returns {Function} Unsubscribe function
+     */
+    function onEvent(listener) {
+      eventListeners.add(listener);
+      return () => eventListeners.delete(listener);
+    }
+
+    /**
+     * Notifies event listeners
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     * @param {string} status - Consent outcome
+     */
+    function notifyListeners(eventName, eventData, status) {
+      eventListeners.forEach((listener) => {
+        try {
+          listener(eventName, eventData, status);
+        } catch (error) {
+          logger.warn('Analytics event listener failed', { error: error.message });
+        }
+      });
+    }
+
+    /**
+     * Resolves the consent category an event belongs to
+     * @param {string} eventName - Event name
+     * @returns {string} Consent category
+     */
+    function getConsentCategory(eventName) {
+      return EVENT_CONSENT_CATEGORIES[eventName] || 'analytics';
+    }
+
+    /**
+     * Sends an event to every enabled analytics adapter
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     */
+    function dispatchEvent(eventName, eventData) {
+      logger.debug(`Analytics event tracked: ${eventName}`, eventData);
+      AnalyticsAdapters.dispatch(eventName, eventData, getConsentCategory(eventName));
+    }
+
+    /**
+     * Holds an event until the visitor makes a consent decision
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     */
+    function queueEvent(eventName, eventData) {
+      if (pendingEvents.length >= CONFIG.CONSENT_QUEUE_LIMIT) {
+        pendingEvents.shift();
+      }
+
+      pendingEvents.push({ eventName, eventData });
+    }
+
+    /**
+     * Tracks an analytics event
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     */
+    function trackEvent(eventName, eventData = {}) {
+      try {
+        EventSchema.validate(eventName, eventData);
+        const enrichedData = PIIScrubber.scrubParams(applyEnrichers(eventName, eventData));
+
+        if (!ConsentManager.hasDecision()) {
+          queueEvent(eventName, enrichedData);
+          notifyListeners(eventName, enrichedData, 'queued');
+          return;
+        }
+
+        if (!ConsentManager.isGranted(getConsentCategory(eventName))) {
+          notifyListeners(eventName, enrichedData, 'blocked');
+          return;
+        }
+
+        dispatchEvent(eventName, enrichedData);
+        notifyListeners(eventName, enrichedData, 'dispatched');
+      } catch (error) {
+        logger.error('Failed to track analytics event', {
+          eventName,
+          error: error.message,
+        });
+      }
+    }
+
+    /**
+     * Flushes or discards queued events once consent is decided
+     * @param {Object|null} consent - Category map, or null after revocation
+     */
+    function handleConsentChange(consent) {
+      if (!consent) {
+        return;
+      }
+
+      const queuedEvents = pendingEvents.splice(0, pendingEvents.length);
+      let flushedCount = 0;
+
+      queuedEvents.forEach(({ eventName, eventData }) => {
+        if (consent[getConsentCategory(eventName)]) {
+          dispatchEvent(eventName, eventData);
+          notifyListeners(eventName, eventData, 'dispatched');
+          flushedCount += 1;
+        }
+      });
+
+      if (queuedEvents.length > 0) {
+        logger.info('Pre-consent event queue processed', {
+          flushed: flushedCount,
+          discarded: queuedEvents.length - flushedCount,
+        });
+      }
+    }
+
+    const debouncedTrackEvent = debounce(trackEvent, CONFIG.ANALYTICS_DEBOUNCE_MS);
+
+    return Object.freeze({
+      trackEvent,
+      trackEventDebounced: debouncedTrackEvent,
+      handleConsentChange,
+      onEvent,
+      addEnricher,
+      registerAdapter: AnalyticsAdapters.register,
+    });
+  })();
+
+  // ============================================
+  // Analytics Consent Bridge
+  // ============================================
+
+  const AnalyticsConsentBridge = (function createAnalyticsConsentBridgeModule() {
+    let unsubscribe = null;
+
+    /**
+     * Starts or stops GA and its session, and releases or discards queued events,
+     * whenever consent changes
+     * @param {Object|null} consent - Category map, or null after revocation
+     */
+    function handleConsentChange(consent) {
+      if (!consent || !consent.analytics) {
+        GoogleAnalytics.destroy();
+        SessionManager.clear();
+      }
+
+      if (!consent) {
+        EventQueue.clear();
+        return;
+      }
+
+      EventQueue.discardDenied();
+
+      if (consent.analytics) {
+        GoogleAnalytics.initialize();
+      }
+
+      Analytics.handleConsentChange(consent);
+    }
+
+    /**
+     * Subscribes to consent changes and applies the current decision, if any
+     */
+    function initialize() {
+      unsubscribe = ConsentManager.onChange(handleConsentChange);
+
+      if (ConsentManager.hasDecision()) {
+        handleConsentChange(ConsentManager.getConsent());
+      }
+    }
+
+    /**
+     * Unsubscribes from consent changes and tears down GA listeners
+     */
+    function destroy() {
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+      GoogleAnalytics.destroy();
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+    });
+  })();
+
+  // ============================================
+  // Module Lifecycle Registry
+  // ============================================
+
+  const ModuleRegistry = (function createModuleRegistryModule() {
+    const logger = createLogger('ModuleRegistry');
+    const registrations = new Map();
+    let isSuspended = false;
+    let lifecycleListenersAttached = false;
+
+    /**
+     * Registers a module
+     * @param {string} name - Module name
+     * @param {Object} module - Object with initialize() and optional destroy(), suspend(), resume()
+     * @param {Object} options - Registration options
+     * @param {string[]} options.dependencies - Modules that must initialize successfully first
+     */
+    function register(name, module, { dependencies = [] } = {}) {
+      if (!module || typeof module.initialize !== 'function') {
+        logger.error(`Module "${name}" must implement initialize()`);
+        return;
+      }
+
+      registrations.set(name, {
+        name,
+        module,
+        dependencies,
+        status: 'registered',
+        error: null,
+        durationMs: null,
+      });
+    }
+
+    /**
+     * Orders modules so dependencies come first, otherwise keeping registration order
+     * @returns {Object[]} Registrations in initialization order
+     */
+    function resolveOrder() {
+      const ordered = [];
+      const visiting = new Set();
+      const visited = new Set();
+
+      const visit = (registration, chain) => {
+        if (visited.has(registration.name)) {
+          return;
+        }
+
+        if (visiting.has(registration.name)) {
+          registration.status = 'failed';
+          registration.error = `Circular dependency: ${[...chain, registration.name].join(' -> ')}`;
+          return;
+        }
+
+        visiting.add(registration.name);
+        registration.dependencies.forEach((dependencyName) => {
+          const dependency = registrations.get(dependencyName);
+          if (dependency) {
+            visit(dependency, [...chain, registration.name]);
+          }
+        });
+        visiting.delete(registration.name);
+        visited.add(registration.name);
+        ordered.push(registration);
+      };
+
+      registrations.forEach((registration) => visit(registration, []));
+      return ordered;
+    }
+
+    /**
+     * Calls an optional lifecycle hook on every initialized module
+     * @param {string} hook - Hook name
+     * @param {Object[]} ordered - Registrations in the order to call them
+     * @param {string} nextStatus - Status recorded after a successful call
+     */
+    function runHook(hook, ordered, nextStatus) {
+      ordered.forEach((registration) => {
+        if (!['initialized', 'suspended'].includes(registration.status)) {
+          return;
+        }
+
+        try {
+          if (typeof registration.module[hook] === 'function') {
+            registration.module[hook]();
+          }
+          registration.status = nextStatus;
+        } catch (error) {
+          logger.error(`Module ${hook} failed: ${registration.name}`, {
+            error: error.message,
+          });
+        }
+      });
+    }
+
+    /**
+     * Suspends modules when the page may enter the back/forward cache
+     * @param {PageTransitionEvent} event - pagehide event
+     */
+    function handlePageHide(event) {
+      if (!event.persisted || isSuspended) {
+        return;
+      }
+
+      isSuspended = true;
+      runHook('suspend', resolveOrder().reverse(), 'suspended');
+      logger.info('Modules suspended for back/forward cache');
+    }
+
+    /**
+     * Resumes modules after a back/forward cache restore
+     *
+     * Listeners and one-shot tracking flags survive in the cache, so modules are resumed
+     * rather than re-initialized, which would double-count analytics.
+     *
+     * @param {PageTransitionEvent} event - pageshow event
+     */
+    function handlePageShow(event) {
+      if (!event.persisted || !isSuspended) {
+        return;
+      }
+
+      isSuspended = false;
+      runHook('resume', resolveOrder(), 'initialized');
+      logger.info('Modules resumed from back/forward cache');
+    }
+
+    /**
+     * Initializes modules in dependency order, isolating failures
+     */
+    function initializeAll() {
+      resolveOrder().forEach((registration) => {
+        if (registration.status === 'initialized' || registration.status === 'failed') {
+          return;
+        }
+
+        const missing = registration.dependencies.filter((dependencyName) => {
+          const dependency = registrations.get(dependencyName);
+          return !dependency || dependency.status !== 'initialized';
+        });
+
+        if (missing.length > 0) {
+          registration.status = 'skipped';
+          registration.error = `Unavailable dependencies: ${missing.join(', ')}`;
+          logger.warn(`Module skipped: ${registration.name}`, { missing });
+          return;
+        }
+
+        const startTime = performance.now();
+
+        try {
+          registration.module.initialize();
+          registration.status = 'initialized';
+          registration.error = null;
+        } catch (error) {
+          registration.status = 'failed';
+          registration.error = error.message;
+          logger.error(`Module failed to initialize: ${registration.name}`, {
+            error: error.message,
+            stack: error.stack,
+          });
+        } finally {
+          registration.durationMs = performance.now() - startTime;
+        }
+      });
+
+      if (!lifecycleListenersAttached) {
+        window.addEventListener('pagehide', handlePageHide);
+        window.addEventListener('pageshow', handlePageShow);
+        lifecycleListenersAttached = true;
+      }
+    }
+
+    /**
+     * Destroys every initialized module in reverse dependency order
+     */
+    function destroyAll() {
+      runHook('destroy', resolveOrder().reverse(), 'destroyed');
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('pageshow', handlePageShow);
+      lifecycleListenersAttached = false;
+      isSuspended = false;
+    }
+
+    /**
+     * Returns a snapshot of module status
+     * @returns {Object[]} Name, status, dependencies, error and init duration per module
+     */
+    function getStatus() {
+      return Array.from(registrations.values()).map(({ name, status, dependencies, error, durationMs }) => ({
+        name,
+        status,
+        dependencies: [...dependencies],
+        error,
+        durationMs,
+      }));
+    }
+
+    return Object.freeze({
+      register,
+      initializeAll,
+      destroyAll,
+      getStatus,
+    });
+  })();
+
+  // ============================================
+  // Debug Inspector Panel
+  // ============================================
+
+  const DebugPanel = (function createDebugPanelModule() {
+    const logger = createLogger('DebugPanel');
+    const TABS = Object.freeze([
+      Object.freeze({ id: 'events', label: 'Events' }),
+      Object.freeze({ id: 'performance', label: 'Performance' }),
+      Object.freeze({ id: 'modules', label: 'Modules' }),
+      Object.freeze({ id: 'state', label: 'Consent & Config' }),
+    ]);
+    const events = [];
+    const cleanups = [];
+    let panel = null;
+    let elements = {};
+    let activeTab = 'events';
+    let filterText = '';
+    let isOpen = false;
+
+    /**
+     * Checks whether ?debug= asks for the panel
+     * @returns {boolean} True unless the parameter is missing or switched off
+     */
+    function isRequestedByUrl() {
+      const debugParam = getDebugParam();
+      return debugParam !== null && !['0', 'false', 'silent'].includes(debugParam);
+    }
+
+    /**
+     * Records an event passing through Analytics.trackEvent
+     * @param {string} eventName - Event name
+     * @param {Object} eventData - Event data
+     * @param {string} status - Consent outcome
+     */
+    function recordEvent(eventName, eventData, status) {
+      events.push({
+        timestamp: new Date().toISOString(),
+        eventName,
+        status,
+        params: { ...eventData },
+      });
+
+      if (events.length > CONFIG.DEBUG_PANEL_EVENT_LIMIT) {
+        events.shift();
+      }
+
+      if (isOpen && activeTab === 'events') {
+        render();
+      }
+    }
+
+    /**
+     * Collects the records shown on a tab
+     * @param {string} tabId - Tab id
+     * @returns {Object[]} Records
+     */
+    function getRecords(tabId) {
+      switch (tabId) {
+        case 'events':
+          return events.slice().reverse();
+        case 'performance':
+          return PerformanceMonitor.getTimeline();
+        case 'modules':
+          return ModuleRegistry.getStatus();
+        case 'state':
+          return [
+            { section: 'consent', key: 'decision', value: ConsentManager.getConsent() },
+            { section: 'loading', key: 'tier', value: AdaptiveLoading.getTier() },
+            { section: 'config', key: 'sources', value: RuntimeConfig.sources },
+            { section: 'config', key: 'errors', value: RuntimeConfig.errors },
+            ...Object.keys(CONFIG).map((key) => ({ section: 'config', key, value: CONFIG[key] })),
+          ];
+        default:
+          return [];
+      }
+    }
+
+    /**
+     * Applies the text filter to a list of records
+     * @param {Object[]} records - Records
+     * @returns {Object[]} Records whose JSON contains the filter text
+     */
+    function filterRecords(records) {
+      const query = filterText.trim().toLowerCase();
+
+      if (!query) {
+        return records;
+      }
+
+      return records.filter((record) => JSON.stringify(record).toLowerCase().includes(query));
+    }
+
+    /**
+     * Builds the one-line summary for a record
+     * @param {string} tabId - Tab id
+     * @param {Object} record - Record
+     * @returns {string} Summary
+     */
+    function summarize(tabId, record) {
+      switch (tabId) {
+        case 'events':
+          return `${record.timestamp.slice(11, 23)}  ${record.eventName}  [${record.status}]`;
+        case 'performance':
+          return record.type === 'measure'
+            ? `measure  ${record.name}  ${record.duration.toFixed(1)}ms`
+            : `mark  ${record.name}  @${record.startTime.toFixed(1)}ms`;
+        case 'modules':
+          return `${record.name}  [${record.status}]${
+            typeof record.durationMs === 'number' ? `  ${record.durationMs.toFixed(1)}ms` : ''
+          }`;
+        default:
+          return `${record.section}.${record.key}`;
+      }
+    }
+
+    /**
+     * Builds the detail payload shown under a record summary
+     * @param {string} tabId - Tab id
+     * @param {Object} record - Record
+     * @returns {*} Detail value, or undefined when the summary says it all
+     */
+    function detailOf(tabId, record) {
+      switch (tabId) {
+        case 'events':
+          return record.params;
+        case 'modules':
+          return record.error || record.dependencies.length > 0
+            ? { dependencies: record.dependencies, error: record.error }
+            : undefined;
+        case 'state':
+          return record.value;
+        default:
+          return undefined;
+      }
+    }
+
+    /**
+     * Renders the active tab
+     */
+    function render() {
+      if (!panel) {
+        return;
+      }
+
+      const records = filterRecords(getRecords(activeTab));
+      const fragment = document.createDocumentFragment();
+
+      records.forEach((record) => {
+        const item = document.createElement('li');
+        item.className = 'debug-panel-record';
+
+        const summary = document.createElement('div');
+        summary.className = 'debug-panel-record-summary';
+        summary.textContent = summarize(activeTab, record);
+        item.appendChild(summary);
+
+        const detail = detailOf(activeTab, record);
+        if (detail !== undefined) {
+          const pre = document.createElement('pre');
+          pre.className = 'debug-panel-record-detail';
+          pre.textContent = JSON.stringify(detail, null, 2);
+          item.appendChild(pre);
+        }
+
+        fragment.appendChild(item);
+      });
+
+      elements.list.replaceChildren(fragment);
+      elements.count.textContent = `${records.length} record${records.length === 1 ? '' : 's'}`;
+
+      elements.tabs.forEach((tab) => {
+        const isActive = tab.dataset.debugTab === activeTab;
+        tab.setAttribute('aria-selected', String(isActive));
+        tab.tabIndex = isActive ? 0 : -1;
+      });
+    }
+
+    /**
+     * Copies text, falling back to a hidden textarea where the Clipboard API is unavailable
+     * @param {string} text - Text to copy
+     * @returns {Promise<void>} Resolves once copied
+     */
+    function copyText(text) {
+      if (navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+        return navigator.clipboard.writeText(text);
+      }
+
+      return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.className = 'debug-panel-clipboard';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        const copied = document.execCommand('copy');
+        textarea.remove();
+
+        if (copied) {
+          resolve();
+        } else {
+          reject(new Error('Copy command was rejected'));
+        }
+      });
+    }
+
+    /**
+     * Copies the filtered records of the active tab as JSON
+     */
+    function copyAsJSON() {
+      const records = filterRecords(getRecords(activeTab));
+
+      copyText(JSON.stringify(records, null, 2))
+        .then(() => {
+          elements.status.textContent = `Copied ${records.length} ${activeTab} records`;
+        })
+        .catch((error) => {
+          elements.status.textContent = 'Copy failed';
+          logger.warn('Failed to copy debug records', { error: error.message });
+        });
+    }
+
+    /**
+     * Creates a button element
+     * @param {string} className - Class name
+     * @param {string} label - Visible label
+     * @returns {HTMLButtonElement} Button
+     */
+    function createButton(className, label) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      return button;
+    }
+
+    /**
+     * Builds the panel DOM on first open
+     */
+    function build() {
+      panel = document.createElement('aside');
+      panel.className = 'debug-panel';
+      panel.setAttribute('aria-label', 'Debug inspector');
+
+      const header = document.createElement('div');
+      header.className = 'debug-panel-header';
+      const title = document.createElement('h2');
+      title.className = 'debug-panel-title';
+      title.textContent = 'Debug inspector';
+      const closeButton = createButton('debug-panel-button', 'Close');
+      closeButton.setAttribute('aria-label', 'Close debug inspector');
+      closeButton.addEventListener('click', close);
+      header.append(title, closeButton);
+
+      const tabList = document.createElement('div');
+      tabList.className = 'debug-panel-tabs';
+      tabList.setAttribute('role', 'tablist');
+      const tabs = TABS.map(({ id, label }) => {
+        const tab = createButton('debug-panel-tab', label);
+        tab.setAttribute('role', 'tab');
+        tab.dataset.debugTab = id;
+        tab.addEventListener('click', () => {
+          activeTab = id;
+          elements.status.textContent = '';
+          render();
+        });
+        return tab;
+      });
+      tabList.append(...tabs);
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'debug-panel-toolbar';
+      const filterInput = document.createElement('input');
+      filterInput.type = 'search';
+      filterInput.className = 'debug-panel-filter';
+      filterInput.placeholder = 'Filter';
+      filterInput.setAttribute('aria-label', 'Filter records');
+      filterInput.addEventListener('input', () => {
+        filterText = filterInput.value;
+        render();
+      });
+      const copyButton = createButton('debug-panel-button', 'Copy JSON');
+      copyButton.addEventListener('click', copyAsJSON);
+      const count = document.createElement('span');
+      count.className = 'debug-panel-count';
+      toolbar.append(filterInput, copyButton, count);
+
+      const list = document.createElement('ol');
+      list.className = 'debug-panel-records';
+      list.setAttribute('role', 'tabpanel');
+
+      const status = document.createElement('p');
+      status.className = 'debug-panel-status';
+      status.setAttribute('aria-live', 'polite');
+
+      panel.append(header, tabList, toolbar, list, status);
+      panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+          close();
+        }
+      });
+
+      elements = { tabs, list, count, status, filterInput };
+      document.body.appendChild(panel);
+    }
+
+    /**
+     * Opens the panel
+     */
+    function open() {
+      if (!panel) {
+        build();
+      }
+
+      panel.hidden = false;
+      isOpen = true;
+      writeStoredJSON(CONFIG.DEBUG_PANEL_STORAGE_KEY, true, window.sessionStorage);
+      render();
+    }
+
+    /**
+     * Closes the panel
+     */
+    function close() {
+      if (panel) {
+        panel.hidden = true;
+      }
+
+      isOpen = false;
+      removeStoredItem(CONFIG.DEBUG_PANEL_STORAGE_KEY, window.sessionStorage);
+    }
+
+    /**
+     * Toggles the panel
+     */
+    function toggle() {
+      if (isOpen) {
+        close();
+      } else {
+        open();
+      }
+    }
+
+    /**
+     * Handles the Alt+Shift+D shortcut
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    function handleShortcut(event) {
+      // event.code, because Alt changes event.key on macOS
+      if (event.altKey && event.shiftKey && event.code === 'KeyD') {
+        event.preventDefault();
+        toggle();
+      }
+    }
+
+    /**
+     * Starts recording events and opens the panel when requested
+     */
+    function initialize() {
+      cleanups.push(Analytics.onEvent(recordEvent));
+      cleanups.push(ConsentManager.onChange(() => {
+        if (isOpen && activeTab === 'state') {
+          render();
+        }
+      }));
+
+      document.addEventListener('keydown', handleShortcut);
+      cleanups.push(() => document.removeEventListener('keydown', handleShortcut));
+
+      if (isRequestedByUrl() || readStoredJSON(CONFIG.DEBUG_PANEL_STORAGE_KEY, window.sessionStorage)) {
+        // Open after the remaining modules so the Modules tab is complete
+        setTimeout(open, 0);
+      }
+    }
+
+    /**
+     * Stops recording and removes the panel
+     */
+    function destroy() {
+      cleanups.splice(0).forEach((cleanup) => cleanup());
+
+      if (panel) {
+        panel.remove();
+        panel = null;
+        elements = {};
+      }
+
+      isOpen = false;
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      open,
+      close,
+      toggle,
+    });
+  })();
+
+  // ============================================
+  // Smooth Scroll Module
+  // ============================================
+
+  const SmoothScroll = (function createSmoothScrollModule() {
+    const logger = createLogger('SmoothScroll');
+    let boundButtons = [];
+
+    /**
+     * Calculates the target scroll position with offset
+     * @param {Element} targetElement - Target element to scroll to
+     * @returns {number} Calculated scroll position
+     */
+    function calculateScrollPosition(targetElement) {
+      const elementRect = targetElement.getBoundingClientRect();
+      const absoluteTop = elementRect.top + window.pageYOffset;
+      return absoluteTop - CONFIG.SCROLL_OFFSET;
+    }
+
+    /**
+     * Scrolls to a target element smoothly
+     * @param {string} targetSelector - CSS selector or hash
+     * @returns {boolean} Success status
+     */
+    function scrollToTarget(targetSelector) {
+      try {
+        const cleanSelector = targetSelector.startsWith('#')
+          ? targetSelector
+          : `#${targetSelector}`;
+
+        const targetElement = querySelector(cleanSelector);
+
+        if (!targetElement) {
+          logger.warn(`Scroll target not found: ${cleanSelector}`);
+          return false;
+        }
+
+        const scrollPosition = calculateScrollPosition(targetElement);
+
+        window.scrollTo({
+          top: scrollPosition,
+          behavior: CONFIG.SCROLL_BEHAVIOR,
+        });
+
+        logger.debug('Smooth scroll executed', {
+          target: cleanSelector,
+          position: scrollPosition,
+        });
+
+        return true;
+      } catch (error) {
+        logger.error('Smooth scroll failed', {
+          target: targetSelector,
+          error: error.message,
+        });
+        return false;
+      }
+    }
+
+    /**
+     * Handles click events for smooth scrolling
+     * @param {Event} event - Click event
+     */
+    function handleSmoothScrollClick(event) {
+      const anchor = event.currentTarget;
+      const href = anchor.getAttribute('href');
+
+      if (!href || !href.startsWith('#')) {
+        return;
+      }
+
+      event.preventDefault();
+
+      const targetId = href.substring(1);
+      const scrollSuccess = scrollToTarget(targetId);
+
+      if (scrollSuccess) {
+        // Update URL hash without jumping
+        if (window.history && window.history.pushState) {
+          window.history.pushState(null, '', href);
+        }
+      }
+    }
+
+    /**
+     * Initializes smooth scrolling for CTA buttons
+     */
+    function initialize() {
+      const ctaButtons = querySelectorAll(SELECTORS.CTA_BUTTONS);
+
+      if (ctaButtons.length === 0) {
+        logger.warn('No CTA buttons found for smooth scroll initialization');
+        return;
+      }
+
+      ctaButtons.forEach((button) => {
+        const href = button.getAttribute('href');
+
+        if (href && href.startsWith('#')) {
+          button.addEventListener('click', handleSmoothScrollClick);
+          boundButtons.push(button);
+          logger.debug('Smooth scroll attached to button', { href });
+        }
+      });
+
+      logger.info(`Smooth scroll initialized for ${ctaButtons.length} buttons`);
+    }
+
+    /**
+     * Removes smooth scroll handlers
+     */
+    function destroy() {
+      boundButtons.forEach((button) => {
+        button.removeEventListener('click', handleSmoothScrollClick);
+      });
+      boundButtons = [];
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      scrollToTarget,
+    });
+  })();
+
+  // ============================================
+  // Lazy Loading Module
+  // ============================================
+
+  const LazyLoader = (function createLazyLoaderModule() {
+    const logger = createLogger('LazyLoader');
+    const MANAGED_CLASS = 'lazy-image';
+    // 1x1 test images; a format is supported when its sample decodes
+    const FORMAT_SAMPLES = Object.freeze({
+      avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+      webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA',
+    });
+    const FORMAT_MIME_TYPES = Object.freeze({
+      'image/avif': 'avif',
+      'image/webp': 'webp',
+    });
+    const loadingImages = new Map();
+    const measureNames = new Map();
+    let observer = null;
+    let formatSupport = null;
+
+    /**
+     * Detects AVIF and WebP decoding support once per page
+     * @returns {Promise<Set<string>>} Supported format names
+     */
+    function detectFormats() {
+      if (!formatSupport) {
+        formatSupport = Promise.all(
+          Object.entries(FORMAT_SAMPLES).map(([format, sample]) => new Promise((resolve) => {
+            const probe = new Image();
+            probe.onload = () => resolve(probe.width > 0 ? format : null);
+            probe.onerror = () => resolve(null);
+            probe.src = sample;
+          }))
+        ).then((formats) => new Set(formats.filter(Boolean)));
+      }
+      return formatSupport;
+    }
+
+    /**
+     * Swaps a JPEG/PNG extension for a modern format in a URL or srcset
+     * @param {string} value - URL or srcset
+     * @param {string} format - "avif" or "webp"
+     * @returns {string} Rewritten value
+     */
+    function withFormat(value, format) {
+      return value.replace(/\.(?:jpe?g|png)(?=$|[\s?#,])/gi, `.${format}`);
+    }
+
+    /**
+     * Returns a stable, unique name for an image's performance marks
+     *
+     * Based on data-image-name, the id or the file name, so budgets can refer to
+     * it; images that would share a name get a numeric suffix.
+     *
+     * @param {HTMLImageElement} imageElement - Image element
+     * @returns {string} Name such as "hero-background"
+     */
+    function getMeasureName(imageElement) {
+      if (!measureNames.has(imageElement)) {
+        const source = imageElement.getAttribute('data-src') || imageElement.getAttribute('src') || '';
+        const fileName = source.startsWith('data:') ? '' : source.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '');
+        const baseName = imageElement.dataset.imageName || imageElement.id || fileName || 'image';
+        const taken = new Set(measureNames.values());
+        let name = baseName;
+
+        for (let suffix = 2; taken.has(name); suffix += 1) {
+          name = `${baseName}-${suffix}`;
+        }
+        measureNames.set(imageElement, name);
+      }
+      return measureNames.get(imageElement);
+    }
+
+    /**
+     * Picks the <source> the browser would use, honouring media and supported type
+     * @param {HTMLPictureElement} picture - Picture element
+     * @param {Set<string>} formats - Supported modern formats
+     * @returns {HTMLSourceElement|null} Matching source
+     */
+    function pickPictureSource(picture, formats) {
+      return Array.from(picture.querySelectorAll('source')).find((source) => {
+        const type = source.getAttribute('type');
+        const media = source.getAttribute('media');
+
+        if (type && FORMAT_MIME_TYPES[type] && !formats.has(FORMAT_MIME_TYPES[type])) {
+          return false;
+        }
+        return !media || (typeof window.matchMedia === 'function' && window.matchMedia(media).matches);
+      }) || null;
+    }
+
+    /**
+     * Resolves the URLs to load for an image
+     *
+     * Uses data-src-lite below the full loading tier, and the first of
+     * data-formats (e.g. "avif webp") the browser decodes. Inside <picture> the
+     * sources' own types decide the format.
+     *
+     * @param {HTMLImageElement} imageElement - Image element
+     * @param {Set<string>} formats - Supported modern formats
+     * @returns {{src: string|null, srcset: string|null, sizes: string|null}} Candidate
+     */
+    function resolveCandidate(imageElement, formats) {
+      const picture = imageElement.parentElement && imageElement.parentElement.tagName === 'PICTURE'
+        ? imageElement.parentElement
+        : null;
+      const liteSrc = imageElement.getAttribute('data-src-lite');
+      const src = liteSrc && AdaptiveLoading.prefersLightAssets()
+        ? liteSrc
+        : imageElement.getAttribute('data-src');
+      const sizes = imageElement.getAttribute('data-sizes');
+      const source = picture ? pickPictureSource(picture, formats) : null;
+
+      if (source) {
+        return {
+          src,
+          srcset: source.getAttribute('data-srcset') || source.getAttribute('srcset'),
+          sizes: source.getAttribute('data-sizes') || sizes,
+        };
+      }
+
+      const srcset = liteSrc && src === liteSrc ? null : imageElement.getAttribute('data-srcset');
+      const format = (imageElement.getAttribute('data-formats') || '')
+        .split(/\s+/)
+        .find((name) => formats.has(name));
+
+      return {
+        src: src && format ? withFormat(src, format) : src,
+        srcset: srcset && format ? withFormat(srcset, format) : srcset,
+        sizes,
+      };
+    }
+
+    /**
+     * Copies the loaded candidate onto the element and its <picture> sources
+     * @param {HTMLImageElement} imageElement - Image element
+     * @param {Object} candidate - Resolved candidate
+     */
+    function applyCandidate(imageElement, candidate) {
+      const picture = imageElement.parentElement && imageElement.parentElement.tagName === 'PICTURE'
+        ? imageElement.parentElement
+        : null;
+
+      if (picture) {
+        picture.querySelectorAll('source[data-srcset]').forEach((source) => {
+          if (source.dataset.sizes) {
+            source.sizes = source.dataset.sizes;
+          }
+          source.srcset = source.dataset.srcset;
+          source.removeAttribute('data-srcset');
+          source.removeAttribute('data-sizes');
+        });
+      }
+
+      if (candidate.sizes) {
+        imageElement.sizes = candidate.sizes;
+      }
+      if (candidate.srcset && !picture) {
+        imageElement.srcset = candidate.srcset;
+      }
+      if (candidate.src) {
+        imageElement.src = candidate.src;
+      }
+
+      ['data-src', 'data-src-lite', 'data-srcset', 'data-sizes', 'data-formats'].forEach((name) => {
+        imageElement.removeAttribute(name);
+      });
+    }
+
+    /**
+     * Swaps in the fallback asset after every attempt failed
+     * @param {HTMLImageElement} imageElement - Image element
+     */
+    function applyFallback(imageElement) {
+      const picture = imageElement.parentElement && imageElement.parentElement.tagName === 'PICTURE'
+        ? imageElement.parentElement
+        : null;
+
+      if (picture) {
+        picture.querySelectorAll('source').forEach((source) => source.remove());
+      }
+
+      imageElement.removeAttribute('srcset');
+      imageElement.src = imageElement.getAttribute('data-fallback') || CONFIG.IMAGE_FALLBACK_SRC;
+      imageElement.classList.add('load-error');
+    }
+
+    /**
+     * Clears the timers held for an image
+     * @param {HTMLImageElement} imageElement - Image element
+     */
+    function clearPending(imageElement) {
+      const pending = loadingImages.get(imageElement);
+
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        clearTimeout(pending.retryId);
+        loadingImages.delete(imageElement);
+      }
+    }
+
+    /**
+     * Schedules another attempt with exponential backoff and jitter, or gives up
+     * and reports the failure once
+     * @param {HTMLImageElement} imageElement - Image element
+     * @param {Object} candidate - Resolved candidate
+     * @param {number} attempt - Attempts made so far
+     * @param {string} reason - 'load_failed' or 'timeout'
+     */
+    function handleAttemptFailure(imageElement, candidate, attempt, reason) {
+      const pending = loadingImages.get(imageElement);
+      const name = getMeasureName(imageElement);
+
+      if (!pending) {
+        return;
+      }
+
+      clearTimeout(pending.timeoutId);
+
+      if (attempt <= CONFIG.IMAGE_MAX_RETRIES) {
+        const baseDelay = CONFIG.IMAGE_RETRY_BASE_MS * 2 ** (attempt - 1);
+        const delay = Math.round(baseDelay / 2 + Math.random() * (baseDelay / 2));
+
+        logger.warn('Image failed to load, retrying', { image: name, attempt, reason, delay });
+        pending.retryId = setTimeout(() => attemptLoad(imageElement, candidate, attempt + 1), delay);
+        return;
+      }
+
+      clearPending(imageElement);
+      applyFallback(imageElement);
+      logger.error('Failed to load image', { image: name, src: candidate.src, attempts: attempt, reason });
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.IMAGE_LOAD_ERROR, {
+        image: name,
+        src: candidate.src || candidate.srcset,
+        error: reason,
+        attempts: attempt,
+        ...(reason === 'timeout' && { timeout_ms: CONFIG.IMAGE_LOADING_TIMEOUT_MS }),
+      });
+    }
+
+    /**
+     * Preloads the candidate off-screen, then shows it on the element
+     *
+     * A timed-out attempt is retried, but its preloader is left running: if it
+     * finishes before a later attempt, its onload still shows the image.
+     *
+     * @param {HTMLImageElement} imageElement - Image element
+     * @param {Object} candidate - Resolved candidate
+     * @param {number} attempt - Attempt number, starting at 1
+     */
+    function attemptLoad(imageElement, candidate, attempt) {
+      const name = getMeasureName(imageElement);
+      const preloader = new Image();
+
+      preloader.onload = function handleImageLoad() {
+        const pending = loadingImages.get(imageElement);
+        if (!pending) {
+          return;
+        }
+        clearPending(imageElement);
+        applyCandidate(imageElement, candidate);
+
+        // Reveal once decoded so the placeholder cross-fades straight to the full image
+        const decoded = typeof imageElement.decode === 'function'
+          ? imageElement.decode().catch(() => {})
+          : Promise.resolve();
+
+        decoded.then(() => {
+          imageElement.classList.add('loaded');
+
+          PerformanceMonitor.mark(`image-load-end-${name}`);
+          PerformanceMonitor.measure(`image-load-${name}`, `image-load-start-${name}`, `image-load-end-${name}`);
+
+          if (imageElement.matches(SELECTORS.HERO_BACKGROUND)) {
+            Analytics.trackEvent(ANALYTICS_EVENTS.BACKGROUND_LOADED, {
+              src: preloader.currentSrc || candidate.src,
+              loadTime: performance.now(),
+            });
+          }
+
+          logger.info('Image loaded', { image: name, src: preloader.currentSrc || candidate.src, attempts: attempt });
+        });
+      };
+
+      preloader.onerror = function handleImageError() {
+        handleAttemptFailure(imageElement, candidate, attempt, 'load_failed');
+      };
+
+      const pending = loadingImages.get(imageElement);
+      pending.timeoutId = setTimeout(() => {
+        preloader.onerror = null;
+        logger.warn('Image load timeout', { image: name, attempt });
+        handleAttemptFailure(imageElement, candidate, attempt, 'timeout');
+      }, CONFIG.IMAGE_LOADING_TIMEOUT_MS);
+
+      if (candidate.sizes) {
+        preloader.sizes = candidate.sizes;
+      }
+      if (candidate.srcset) {
+        preloader.srcset = candidate.srcset;
+      }
+      if (candidate.src) {
+        preloader.src = candidate.src;
+      }
+    }
+
+    /**
+     * Loads an image's full-quality source, with a per-attempt timeout and retries
+     * @param {HTMLImageElement} imageElement - Image element to load
+     */
+    function loadImage(imageElement) {
+      if (loadingImages.has(imageElement)) {
+        return;
+      }
+
+      const name = getMeasureName(imageElement);
+      const picture = imageElement.closest('picture');
+      const hasSource = ['data-src', 'data-srcset'].some((attribute) => imageElement.hasAttribute(attribute)) ||
+        Boolean(picture && picture.querySelector('source[data-srcset]'));
+
+      if (!hasSource) {
+        logger.warn('Image missing data-src attribute', { image: name });
+        return;
+      }
+
+      PerformanceMonitor.mark(`image-load-start-${name}`);
+      loadingImages.set(imageElement, { timeoutId: null, retryId: null });
+
+      detectFormats().then((formats) => {
+        if (loadingImages.has(imageElement)) {
+          attemptLoad(imageElement, resolveCandidate(imageElement, formats), 1);
+        }
+      });
+    }
+
+    /**
+     * Intersection Observer callback
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    function handleIntersection(entries) {
+      entries.forEach((entry) => {
+        if (entry.isIntersecting) {
+          const imageElement = entry.target;
+          loadImage(imageElement);
+
+          if (observer) {
+            observer.unobserve(imageElement);
+          }
+        }
+      });
+    }
+
+    /**
+     * Starts managing images under a root, e.g. after inserting content
+     * @param {ParentNode} root - Subtree to scan
+     * @returns {number} Number of images newly managed
+     */
+    function scan(root = document) {
+      const matches = querySelectorAll(SELECTORS.LAZY_IMAGES, root).map((element) => (
+        element.tagName === 'SOURCE' ? element.parentElement.querySelector('img') : element
+      ));
+      const images = Array.from(new Set(matches))
+        .filter((imageElement) => imageElement && !imageElement.classList.contains(MANAGED_CLASS));
+
+      images.forEach((imageElement) => {
+        imageElement.classList.add(MANAGED_CLASS);
+
+        if (observer) {
+          observer.observe(imageElement);
+        } else {
+          loadImage(imageElement);
+        }
+      });
+
+      return images.length;
+    }
+
+    /**
+     * Initializes lazy loading for every data-src, data-srcset and <picture> image
+     */
+    function initialize() {
+      if ('IntersectionObserver' in window) {
+        try {
+          observer = new IntersectionObserver(handleIntersection, {
+            rootMargin: CONFIG.LAZY_LOAD_THRESHOLD,
+            threshold: CONFIG.INTERSECTION_THRESHOLD,
+          });
+        } catch (error) {
+          logger.error('Failed to initialize lazy loading', {
+            error: error.message,
+          });
+        }
+      } else {
+        logger.warn('IntersectionObserver not supported, loading images immediately');
+      }
+
+      const count = scan();
+      logger.info(`Lazy loading initialized for ${count} images`);
+    }
+
+    /**
+     * Cleanup function
+     */
+    function destroy() {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      // Clear any pending timeouts and retries
+      Array.from(loadingImages.keys()).forEach(clearPending);
+
+      querySelectorAll(`.${MANAGED_CLASS}`).forEach((imageElement) => {
+        if (!imageElement.classList.contains('loaded') && !imageElement.classList.contains('load-error')) {
+          imageElement.classList.remove(MANAGED_CLASS);
+        }
+      });
+
+      logger.info('Lazy loader destroyed');
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      scan,
+    });
+  })();
+
+  // ============================================
+  // CTA Button Tracking Module
+  // ============================================
+
+  const CTATracking = (function createCTATrackingModule() {
+    const logger = createLogger('CTATracking');
+    let boundButtons = [];
+
+    /**
+     * Handles CTA button click events
+     * @param {Event} event - Click event
+     */
+    function handleCTAClick(event) {
+      const button = event.currentTarget;
+      const buttonText = button.textContent.trim();
+      const buttonHref = button.getAttribute('href');
+      const buttonType = button.classList.contains('hero-cta-button--primary')
+        ? 'primary'
+        : 'secondary';
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.CTA_CLICK, {
+        buttonText,
+        buttonHref,
+        buttonType,
+        timestamp: Date.now(),
+      });
+
+      logger.debug('CTA button clicked', {
+        buttonText,
+        buttonHref,
+        buttonType,
+      });
+    }
+
+    /**
+     * Initializes CTA button tracking
+     */
+    function initialize() {
+      const ctaButtons = querySelectorAll(SELECTORS.CTA_BUTTONS);
+
+      if (ctaButtons.length === 0) {
+        logger.warn('No CTA buttons found for tracking initialization');
+        return;
+      }
+
+      ctaButtons.forEach((button) => {
+        button.addEventListener('click', handleCTAClick);
+      });
+      boundButtons = ctaButtons;
+
+      logger.info(`CTA tracking initialized for ${ctaButtons.length} buttons`);
+    }
+
+    /**
+     * Removes CTA click handlers
+     */
+    function destroy() {
+      boundButtons.forEach((button) => {
+        button.removeEventListener('click', handleCTAClick);
+      });
+      boundButtons = [];
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+    });
+  })();
+
+  // ============================================
+  // Declarative Tracking Module
+  // ============================================
+
+  const DeclarativeTracking = (function createDeclarativeTrackingModule() {
+    const logger = createLogger('DeclarativeTracking');
+    const TRIGGERS = Object.freeze(['click', 'view', 'hover', 'submit']);
+    const RESERVED_ATTRIBUTES = Object.freeze(['trackEvent', 'trackTrigger']);
+    const EVENT_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+    const RESERVED_EVENT_PREFIX = /^(ga_|google_|firebase_)/i;
+    // GA4 collection limits
+    const MAX_PARAMS = 25;
+    const MAX_PARAM_NAME_LENGTH = 40;
+    const MAX_PARAM_VALUE_LENGTH = 100;
+    const onceTracked = new WeakSet();
+    const warned = new WeakSet();
+    let observer = null;
+    let isListening = false;
+    let stopHoverTracking = null;
+
+    /**
+     * Reads the triggers declared on an element
+     * @param {Element} element - Tagged element
+     * @returns {string[]} Triggers (default: click)
+     */
+    function getTriggers(element) {
+      const declared = (element.dataset.trackTrigger || 'click').trim().toLowerCase();
+      return declared.split(/\s+/);
+    }
+
+    /**
+     * Converts a data-track-* dataset key to a GA4 parameter name
+     * @param {string} datasetKey - Key such as "trackLinkType"
+     * @returns {string} Parameter name such as "link_type"
+     */
+    function toParamName(datasetKey) {
+      const name = datasetKey.slice('track'.length);
+      return name.charAt(0).toLowerCase() +
+        name.slice(1).replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`);
+    }
+
+    /**
+     * Validates an element's tagging and builds the event
+     * @param {Element} element - Tagged element
+     * @returns {{eventName: string, params: Object}|{errors: string[]}} Event or validation errors
+     */
+    function parseElement(element) {
+      const errors = [];
+      const eventName = (element.dataset.trackEvent || '').trim();
+      const params = {};
+
+      if (!EVENT_NAME_PATTERN.test(eventName)) {
+        errors.push(`invalid data-track-event "${eventName}" (letters, digits and _; max 40 chars)`);
+      } else if (RESERVED_EVENT_PREFIX.test(eventName)) {
+        errors.push(`data-track-event "${eventName}" uses a reserved prefix`);
+      }
+
+      getTriggers(element).forEach((trigger) => {
+        if (!TRIGGERS.includes(trigger)) {
+          errors.push(`unknown data-track-trigger "${trigger}" (expected ${TRIGGERS.join(', ')})`);
+        }
+      });
+
+      Object.keys(element.dataset)
+        .filter((key) => key.startsWith('track') && key.length > 'track'.length)
+        .filter((key) => !RESERVED_ATTRIBUTES.includes(key))
+        .forEach((key) => {
+          const paramName = toParamName(key);
+          const value = element.dataset[key];
+
+          if (paramName.length > MAX_PARAM_NAME_LENGTH) {
+            errors.push(`parameter name "${paramName}" exceeds ${MAX_PARAM_NAME_LENGTH} characters`);
+            return;
+          }
+
+          params[paramName] = value.length > MAX_PARAM_VALUE_LENGTH
+            ? value.slice(0, MAX_PARAM_VALUE_LENGTH)
+            : value;
+        });
+
+      if (Object.keys(params).length > MAX_PARAMS) {
+        errors.push(`more than ${MAX_PARAMS} data-track-* parameters`);
+      }
+
+      return errors.length > 0 ? { errors } : { eventName, params };
+    }
+
+    /**
+     * Warns once per element about invalid tagging
+     * @param {Element} element - Tagged element
+     * @param {string[]} errors - Validation errors
+     */
+    function warnInvalid(element, errors) {
+      if (warned.has(element)) {
+        return;
+      }
+
+      warned.add(element);
+      logger.warn('Ignoring invalid analytics tagging', {
+        element: describeElement(element),
+        errors,
+      });
+    }
+
+    /**
+     * Sends the event declared on an element
+     * @param {Element} element - Tagged element
+     * @param {string} trigger - Trigger that fired
+     */
+    function track(element, trigger) {
+      const parsed = parseElement(element);
+
+      if (parsed.errors) {
+        warnInvalid(element, parsed.errors);
+        return;
+      }
+
+      const href = element.getAttribute('href');
+
+      // Declared parameters win over the automatic ones
+      Analytics.trackEvent(parsed.eventName, {
+        trigger,
+        element: describeElement(element),
+        ...(href && { link_url: href }),
+        ...parsed.params,
+      });
+    }
+
+    /**
+     * Finds the closest tagged ancestor listening for a trigger
+     * @param {EventTarget} target - Event target
+     * @param {string} trigger - Trigger name
+     * @returns {Element|null} Tagged element
+     */
+    function findTagged(target, trigger) {
+      const element = target instanceof Element ? target.closest(SELECTORS.TRACKED_ELEMENTS) : null;
+      return element && getTriggers(element).includes(trigger) ? element : null;
+    }
+
+    /**
+     * Delegated click handler
+     * @param {MouseEvent} event - Click event
+     */
+    function handleClick(event) {
+      const element = findTagged(event.target, 'click');
+      if (element) {
+        track(element, 'click');
+      }
+    }
+
+    /**
+     * Delegated submit handler
+     * @param {SubmitEvent} event - Submit event
+     */
+    function handleSubmit(event) {
+      const element = findTagged(event.target, 'submit');
+      if (element) {
+        track(element, 'submit');
+      }
+    }
+
+    /**
+     * Delegated hover handler - fires once per element per page
+     * @param {MouseEvent} event - Mouseover event
+     */
+    function handleHover(event) {
+      const element = findTagged(event.target, 'hover');
+
+      // mouseover bubbles from children; only count entering the element itself
+      if (!element || onceTracked.has(element) ||
+        (event.relatedTarget instanceof Node && element.contains(event.relatedTarget))) {
+        return;
+      }
+
+      onceTracked.add(element);
+      track(element, 'hover');
+    }
+
+    /**
+     * Fires view events once per element when it scrolls into view
+     * @param {IntersectionObserverEntry[]} entries - Intersection entries
+     */
+    function handleIntersection(entries) {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting || onceTracked.has(entry.target)) {
+          return;
+        }
+
+        onceTracked.add(entry.target);
+        observer.unobserve(entry.target);
+        track(entry.target, 'view');
+      });
+    }
+
+    /**
+     * Observes view-tagged elements and validates all tagging under a root
+     *
+     * Call again after inserting tagged markup so new view triggers are observed.
+     *
+     * @param {Element|Document} root - Root to scan (default: document)
+     * @returns {number} Number of tagged elements found
+     */
+    function scan(root = document) {
+      const elements = querySelectorAll(SELECTORS.TRACKED_ELEMENTS, root);
+
+      elements.forEach((element) => {
+        const parsed = parseElement(element);
+
+        if (parsed.errors) {
+          warnInvalid(element, parsed.errors);
+          return;
+        }
+
+        if (getTriggers(element).includes('view') && observer && !onceTracked.has(element)) {
+          observer.observe(element);
+        }
+      });
+
+      return elements.length;
+    }
+
+    /**
+     * Wires delegated listeners and scans the page for tagged elements
+     */
+    function initialize() {
+      if (!isListening) {
+        document.addEventListener('click', handleClick);
+        document.addEventListener('submit', handleSubmit);
+        stopHoverTracking = AdaptiveLoading.deferNonEssential(() => {
+          document.addEventListener('mouseover', handleHover, { passive: true });
+          return () => document.removeEventListener('mouseover', handleHover);
+        });
+        isListening = true;
+      }
+
+      if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(handleIntersection, {
+          threshold: CONFIG.INTERSECTION_THRESHOLD,
+        });
+      } else {
+        logger.warn('IntersectionObserver not supported - view triggers disabled');
+      }
+
+      const count = scan();
+      logger.info(`Declarative tracking initialized for ${count} elements`);
+    }
+
+    /**
+     * Removes delegated listeners and the view observer
+     */
+    function destroy() {
+      document.removeEventListener('click', handleClick);
+      document.removeEventListener('submit', handleSubmit);
+      if (stopHoverTracking) {
+        stopHoverTracking();
+        stopHoverTracking = null;
+      }
+      isListening = false;
+
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      scan,
+    });
+  })();
+
+  // ============================================
+  // Section Tracking Module
+  // ============================================
+
+  const SectionTracker = (function createSectionTrackerModule() {
+    const logger = createLogger('SectionTracker');
+    // Sections whose view events predate this module keep their established names
+    const VIEW_EVENT_NAMES = Object.freeze({
+      hero: ANALYTICS_EVENTS.HERO_VIEW,
+      programs: ANALYTICS_EVENTS.PROGRAMS_SECTION_VIEW,
+    });
+    // Two parameters per section must fit GA4's 25-parameter limit
+    const MAX_SUMMARY_SECTIONS = 10;
+    const sections = new Map();
+    const viewOrder = [];
+    let observer = null;
+    let scrollFrameId = null;
+    let lastSummaryKey = '';
+    let summaryIndex = 0;
+
+    /**
+     * Credits time in view to every section currently in view
+     * @param {number} now - Current timestamp
+     */
+    function checkpoint(now) {
+      sections.forEach((section) => {
+        if (section.inViewSince !== null) {
+          section.timeInViewMs += now - section.inViewSince;
+          section.inViewSince = now;
+        }
+      });
+    }
+
+    /**
+     * Records how far down a section the visitor has seen
+     * @param {Object} section - Section state
+     */
+    function updateDepth(section) {
+      const rect = section.element.getBoundingClientRect();
+
+      if (rect.height <= 0) {
+        return;
+      }
+
+      const seenBottom = Math.min(rect.bottom, window.innerHeight) - rect.top;
+      const percentSeen = Math.round(Math.min(1, Math.max(0, seenBottom / rect.height)) * 100);
+      section.maxPercentSeen = Math.max(section.maxPercentSeen, percentSeen);
+    }
+
+    /**
+     * Reports a section's first view
+     * @param {Object} section - Section state
+     */
+    function trackFirstView(section) {
+      viewOrder.push(section.name);
+      section.viewOrder = viewOrder.length;
+
+      Analytics.trackEvent(VIEW_EVENT_NAMES[section.name] || ANALYTICS_EVENTS.SECTION_VIEW, {
+        section_name: section.name,
+        view_order: section.viewOrder,
+        first_view_ms: Math.round(window.performance ? window.performance.now() : 0),
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+      });
+
+      logger.info(`Section viewed: ${section.name}`, { order: section.viewOrder });
+    }
+
+    /**
+     * Starts or stops each section's in-view clock
+     * @param {IntersectionObserverEntry[]} entries - Intersection entries
+     */
+    function handleIntersection(entries) {
+      const now = Date.now();
+      checkpoint(now);
+
+      entries.forEach((entry) => {
+        const section = sections.get(entry.target);
+
+        if (!section) {
+          return;
+        }
+
+        if (isSectionInView(entry)) {
+          if (section.inViewSince === null && document.visibilityState !== 'hidden') {
+            section.inViewSince = now;
+          }
+          if (section.viewOrder === null) {
+            trackFirstView(section);
+          }
+        } else {
+          section.inViewSince = null;
+        }
+
+        if (entry.isIntersecting) {
+          updateDepth(section);
+        }
+      });
+    }
+
+    /**
+     * Updates read-through depth for sections in view, once per frame
+     *
+     * Intersection callbacks alone are too coarse for sections taller than the
+     * viewport, whose visible ratio barely changes while scrolling through them.
+     */
+    function handleScroll() {
+      if (scrollFrameId !== null) {
+        return;
+      }
+
+      scrollFrameId = window.requestAnimationFrame(() => {
+        scrollFrameId = null;
+        sections.forEach((section) => {
+          if (section.inViewSince !== null) {
+            updateDepth(section);
+          }
+        });
+      });
+    }
+
+    /**
+     * Converts a section name to a GA4-safe parameter prefix
+     * @param {string} name - Section name
+     * @returns {string} Prefix
+     */
+    function toParamPrefix(name) {
+      return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 24);
+    }
+
+    /**
+     * Sends the page's section summary if anything changed since the last one
+     *
+     * Sent on every hide, because mobile browsers may never fire pagehide; each
+     * summary is cumulative, so the one with the highest summary_index is final.
+     */
+    function reportSummary() {
+      checkpoint(Date.now());
+
+      const tracked = Array.from(sections.values());
+      const params = {
+        sections_total: tracked.length,
+        sections_viewed: viewOrder.length,
+        section_order: viewOrder.join('>').slice(0, 100),
+      };
+
+      tracked.slice(0, MAX_SUMMARY_SECTIONS).forEach((section) => {
+        const prefix = toParamPrefix(section.name);
+        params[`${prefix}_time_ms`] = Math.round(section.timeInViewMs);
+        params[`${prefix}_pct_seen`] = section.maxPercentSeen;
+      });
+
+      const summaryKey = JSON.stringify(params);
+
+      if (viewOrder.length === 0 || summaryKey === lastSummaryKey) {
+        return;
+      }
+
+      lastSummaryKey = summaryKey;
+      summaryIndex += 1;
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.SECTION_SUMMARY, {
+        ...params,
+        summary_index: summaryIndex,
+      });
+    }
+
+    /**
+     * Pauses in-view clocks and reports while hidden; restarts them when shown
+     */
+    function handleVisibilityChange() {
+      const now = Date.now();
+
+      if (document.visibilityState === 'hidden') {
+        checkpoint(now);
+        sections.forEach((section) => {
+          section.wasInView = section.inViewSince !== null;
+          section.inViewSince = null;
+        });
+        reportSummary();
+        return;
+      }
+
+      sections.forEach((section) => {
+        if (section.wasInView) {
+          section.inViewSince = now;
+        }
+      });
+    }
+
+    /**
+     * Observes every tracked section
+     */
+    function initialize() {
+      if (!('IntersectionObserver' in window)) {
+        logger.warn('IntersectionObserver not supported - section tracking disabled');
+        return;
+      }
+
+      const elements = querySelectorAll(SELECTORS.TRACKED_SECTIONS);
+
+      if (elements.length === 0) {
+        logger.warn('No sections found for section tracking');
+        return;
+      }
+
+      observer = new IntersectionObserver(handleIntersection, {
+        threshold: SECTION_VISIBILITY_THRESHOLDS,
+      });
+
+      elements.forEach((element) => {
+        if (sections.has(element)) {
+          return;
+        }
+
+        sections.set(element, {
+          element,
+          name: getSectionName(element),
+          viewOrder: null,
+          inViewSince: null,
+          wasInView: false,
+          timeInViewMs: 0,
+          maxPercentSeen: 0,
+        });
+        observer.observe(element);
+      });
+
+      window.addEventListener('scroll', handleScroll, { passive: true });
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      window.addEventListener('pagehide', reportSummary);
+
+      logger.info(`Section tracking initialized for ${sections.size} sections`);
+    }
+
+    /**
+     * Stops observing; views already tracked are not tracked again
+     */
+    function destroy() {
+      if (observer) {
+        observer.disconnect();
+        observer = null;
+      }
+
+      if (scrollFrameId !== null) {
+        window.cancelAnimationFrame(scrollFrameId);
+        scrollFrameId = null;
+      }
+
+      checkpoint(Date.now());
+      sections.forEach((section) => {
+        section.inViewSince = null;
+      });
+
+      window.removeEventListener('scroll', handleScroll);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', reportSummary);
+    }
+
+    /**
+     * Returns per-section view state
+     * @returns {Object[]} Sections in document order
+     */
+    function getSummary() {
+      checkpoint(Date.now());
+
+      return Array.from(sections.values()).map((section) => ({
+        name: section.name,
+        viewOrder: section.viewOrder,
+        timeInViewMs: Math.round(section.timeInViewMs),
+        maxPercentSeen: section.maxPercentSeen,
+      }));
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+      getSummary,
+    });
+  })();
+
+  // ============================================
+  // Program Cards Interaction Module
+  // ============================================
+
+  const ProgramCards = (function createProgramCardsModule() {
+    const logger = createLogger('ProgramCards');
+    const CARD_LISTENERS = Object.freeze({
+      click: handleCardClick,
+      focus: handleCardFocus,
+      blur: handleCardBlur,
+      keydown: handleCardKeydown,
+    });
+    let boundCards = [];
+    let stopHoverTracking = null;
+
+    /**
+     * Extracts program card metadata
+     * @param {Element} card - Program card element
+     * @returns {Object} Card metadata
+     */
+    function getCardMetadata(card) {
+      const titleElement = card.querySelector('h3');
+      const descriptionElement = card.querySelector('.program-description');
+      
+      return {
+        title: titleElement ? titleElement.textContent.trim() : 'Unknown',
+        description: descriptionElement ? descriptionElement.textContent.trim().substring(0, 100) : '',
+        index: Array.from(card.parentElement.children).indexOf(card),
+      };
+    }
+
+    /**
+     * Handles program card click events
+     * @param {Event} event - Click event
+     */
+    function handleCardClick(event) {
+      const card = event.currentTarget;
+      const metadata = getCardMetadata(card);
+
+      card.classList.add(CONFIG.PROGRAM_CARD_ACTIVE_CLASS);
+      setTimeout(() => {
+        card.classList.remove(CONFIG.PROGRAM_CARD_ACTIVE_CLASS);
+      }, 200);
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAM_CARD_CLICK, {
+        ...metadata,
+        timestamp: Date.now(),
+      });
+
+      logger.debug('Program card clicked', metadata);
+    }
+
+    /**
+     * Handles program card hover events
+     * @param {Event} event - Mouse enter event
+     */
+    function handleCardHover(event) {
+      const card = event.currentTarget;
+      const metadata = getCardMetadata(card);
+
+      Analytics.trackEventDebounced(ANALYTICS_EVENTS.PROGRAM_CARD_HOVER, {
+        ...metadata,
+        timestamp: Date.now(),
+      });
+
+      logger.debug('Program card hovered', metadata);
+    }
+
+    /**
+     * Handles program card focus events
+     * @param {Event} event - Focus event
+     */
+    function handleCardFocus(event) {
+      const card = event.currentTarget;
+      const metadata = getCardMetadata(card);
+
+      card.classList.add(CONFIG.PROGRAM_CARD_FOCUS_CLASS);
+
+      Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAM_CARD_FOCUS, {
+        ...metadata,
+        timestamp: Date.now(),
+      });
+
+      logger.debug('Program card focused', metadata);
+    }
+
+    /**
+     * Handles program card blur events
+     * @param {Event} event - Blur event
+     */
+    function handleCardBlur(event) {
+      const card = event.currentTarget;
+      card.classList.remove(CONFIG.PROGRAM_CARD_FOCUS_CLASS);
+    }
+
+    /**
+     * Handles keyboard navigation for program cards
+     * @param {Event} event - Keydown event
+     */
+    function handleCardKeydown(event) {
+      const card = event.currentTarget;
+      const cards = querySelectorAll(SELECTORS.PROGRAM_CARDS);
+      const currentIndex = cards.indexOf(card);
+
+      let targetIndex = -1;
+
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          event.preventDefault();
+          targetIndex = (currentIndex + 1) % cards.length;
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          event.preventDefault();
+          targetIndex = (currentIndex - 1 + cards.length) % cards.length;
+          break;
+        case 'Home':
+          event.preventDefault();
+          targetIndex = 0;
+          break;
+        case 'End':
+          event.preventDefault();
+          targetIndex = cards.length - 1;
+          break;
+        case 'Enter':
+        case ' ':
+          event.preventDefault();
+          handleCardClick(event);
+          return;
+        default:
+          return;
+      }
+
+      if (targetIndex !== -1 && cards[targetIndex]) {
+        cards[targetIndex].focus();
+      }
+    }
+
+    /**
+     * Makes program cards keyboard accessible
+     * @param {Element} card - Program card element
+     */
+    function makeCardAccessible(card) {
+      if (!card.hasAttribute('tabindex')) {
+        card.setAttribute('tabindex', '0');
+      }
+
+      if (!card.hasAttribute('role')) {
+        card.setAttribute('role', 'button');
+      }
+
+      const titleElement = card.querySelector('h3');
+      if (titleElement && !card.hasAttribute('aria-label')) {
+        card.setAttribute('aria-label', `View details for ${titleElement.textContent.trim()}`);
+      }
+    }
+
+    /**
+     * Initializes program card interactions
+     */
+    function initialize() {
+      const programCards = querySelectorAll(SELECTORS.PROGRAM_CARDS);
+
+      if (programCards.length === 0) {
+        logger.warn('No program cards found for interaction initialization');
+        return;
+      }
+
+      programCards.forEach((card) => {
+        makeCardAccessible(card);
+
+        Object.entries(CARD_LISTENERS).forEach(([type, handler]) => {
+          card.addEventListener(type, handler);
+        });
+      });
+      boundCards = programCards;
+
+      // Hover analytics are non-essential, so slow connections start them late or not at all
+      stopHoverTracking = AdaptiveLoading.deferNonEssential(() => {
+        programCards.forEach((card) => card.addEventListener('mouseenter', handleCardHover));
+        return () => programCards.forEach((card) => card.removeEventListener('mouseenter', handleCardHover));
+      });
+
+      logger.info(`Program card interactions initialized for ${programCards.length} cards`);
+    }
+
+    /**
+     * Removes program card handlers
+     */
+    function destroy() {
+      boundCards.forEach((card) => {
+        Object.entries(CARD_LISTENERS).forEach(([type, handler]) => {
+          card.removeEventListener(type, handler);
+        });
+      });
+      boundCards = [];
+
+      if (stopHoverTracking) {
+        stopHoverTracking();
+        stopHoverTracking = null;
+      }
+    }
+
+    return Object.freeze({
+      initialize,
+      destroy,
+    });
+  })();
+
+  // ============================================
+  // Form Validation Rules Module
+  // ============================================
 
-        // Set up engagement time tracking
-        initializeEngagementTracking();
+  /**
+   * Declarative field validation.
+   *
+   * Rules come from standard attributes (required, minlength, maxlength, pattern,
+   * type="email"/"tel"), data-validate="name zip ..." for named validators,
+   * data-required-if="other_field=value" for conditional requirements, and an
+   * optional per-form JSON schema referenced by data-validation-schema. Messages
+   * can be overridden per rule with data-msg-<rule> or the schema's "messages".
+   */
+  const FormValidationRules = (function createFormValidationRulesModule() {
+    const logger = createLogger('FormValidationRules');
+    const ATTRIBUTE_RULES = Object.freeze(['minlength', 'maxlength', 'pattern']);
+    const TYPE_RULES = Object.freeze({ email: 'email', tel: 'tel' });
+    const validators = new Map();
+    const schemas = new WeakMap();
 
-        isInitialized = true;
-        log('info', 'Google Analytics 4 initialized successfully');
+    /**
+     * Adds or replaces a named validator
+     * @param {string} name - Rule name used in data-validate and schemas
+     * @param {Function} validate - Called with (value, param, context); returns a
+     *   boolean or a Promise of one. context has field, form and getValue(name)
+     * @param {string} message - Default error message; "{param}" is replaced
+     */
+    function registerValidator(name, validate, message) {
+      validators.set(name, { validate, message });
+    }
+
+    registerValidator('minlength', (value, param) => value.length >= Number(param),
+      'Please enter at least {param} characters');
+    registerValidator('maxlength', (value, param) => value.length <= Number(param),
+      'Please enter no more than {param} characters');
+    registerValidator('pattern', (value, param) => {
+      try {
+        return new RegExp(`^(?:${param})$`).test(value);
       } catch (error) {
-        log('error', 'Failed to initialize Google Analytics', {
-          error: error.message,
+        logger.warn('Ignoring invalid pattern', { pattern: param });
+        return true;
+      }
+    }, ERROR_MESSAGES.INVALID_FORMAT);
+    registerValidator('email', (value) => VALIDATION_PATTERNS.EMAIL.test(value), ERROR_MESSAGES.INVALID_EMAIL);
+    registerValidator('tel', (value) => VALIDATION_PATTERNS.PHONE.test(value), ERROR_MESSAGES.INVALID_PHONE);
+    registerValidator('zip', (value) => VALIDATION_PATTERNS.ZIP.test(value), ERROR_MESSAGES.INVALID_ZIP);
+    registerValidator('name', (value) => VALIDATION_PATTERNS.NAME.test(value), ERROR_MESSAGES.INVALID_NAME);
+
+    /**
+     * Reads the form's JSON schema, if it references one
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object} Field rules keyed by field name
+     */
+    function getSchema(form) {
+      if (!form) {
+        return {};
+      }
+
+      if (!schemas.has(form)) {
+        const schemaId = form.getAttribute('data-validation-schema');
+        let schema = {};
+
+        if (schemaId) {
+          const element = document.getElementById(schemaId);
+
+          try {
+            schema = element ? JSON.parse(element.textContent) : {};
+          } catch (error) {
+            logger.error('Invalid validation schema JSON', { schemaId, error: error.message });
+          }
+
+          if (!element) {
+            logger.warn('Validation schema not found', { schemaId });
+          }
+        }
+
+        schemas.set(form, schema && typeof schema === 'object' ? schema : {});
+      }
+
+      return schemas.get(form);
+    }
+
+    /**
+     * Parses a "field=value" condition; a bare field name means "has any value"
+     * @param {string|Object} condition - Attribute text or { field, value }
+     * @returns {{field: string, value: (string|undefined)}|null} Condition
+     */
+    function parseCondition(condition) {
+      if (!condition) {
+        return null;
+      }
+      if (typeof condition === 'object') {
+        return { field: condition.field, value: condition.value };
+      }
+
+      const [fieldName, ...valueParts] = condition.split('=');
+      return {
+        field: fieldName.trim(),
+        value: valueParts.length > 0 ? valueParts.join('=').trim() : undefined,
+      };
+    }
+
+    /**
+     * Collects a field's rules from its attributes and the form schema
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+     * @returns {Object} { required, requiredIf, rules: [{ name, param }], messages }
+     */
+    function getFieldRules(field) {
+      const schemaRules = getSchema(field.form)[field.name] || {};
+      const rules = new Map();
+
+      if (TYPE_RULES[field.type]) {
+        rules.set(TYPE_RULES[field.type], true);
+      }
+      (field.getAttribute('data-validate') || '').split(/\s+/).filter(Boolean).forEach((name) => {
+        rules.set(name, true);
+      });
+      ATTRIBUTE_RULES.forEach((name) => {
+        if (field.hasAttribute(name)) {
+          rules.set(name, field.getAttribute(name));
+        }
+      });
+
+      (schemaRules.validate || []).forEach((name) => rules.set(name, true));
+      Object.entries(schemaRules).forEach(([name, param]) => {
+        if (validators.has(name)) {
+          if (param === false) {
+            rules.delete(name);
+          } else {
+            rules.set(name, param);
+          }
+        }
+      });
+
+      return {
+        required: schemaRules.required !== undefined ? Boolean(schemaRules.required) : field.hasAttribute('required'),
+        requiredIf: parseCondition(schemaRules.requiredIf || field.getAttribute('data-required-if')),
+        rules: Array.from(rules, ([name, param]) => ({ name, param })),
+        messages: schemaRules.messages || {},
+      };
+    }
+
+    /**
+     * Reads a field's value, trimmed; unchecked checkboxes and radios are empty
+     * @param {Element} field - Form field
+     * @returns {string} Value
+     */
+    function readValue(field) {
+      if ((field.type === 'checkbox' || field.type === 'radio') && !field.checked) {
+        return '';
+      }
+      return String(field.value || '').trim();
+    }
+
+    /**
+     * Reads another field's value from the same form
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} name - Field name
+     * @returns {string} Value, or "" when missing
+     */
+    function getValue(form, name) {
+      const element = form ? form.elements.namedItem(name) : null;
+
+      if (!element) {
+        return '';
+      }
+      // Radio groups come back as a RadioNodeList whose value is the checked option
+      return typeof element.length === 'number' && !element.tagName
+        ? String(element.value || '').trim()
+        : readValue(element);
+    }
+
+    /**
+     * Resolves the message for a failed rule
+     * @param {Element} field - Form field
+     * @param {Object} fieldRules - Rules from getFieldRules
+     * @param {string} name - Rule name
+     * @param {*} param - Rule parameter
+     * @returns {string} Message
+     */
+    function getMessage(field, fieldRules, name, param) {
+      const datasetKey = `msg${name.charAt(0).toUpperCase()}${name.slice(1).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())}`;
+      const fallback = name === 'required' ? ERROR_MESSAGES.REQUIRED : (validators.get(name) || {}).message;
+      const message = field.dataset[datasetKey] || fieldRules.messages[name] || fallback || ERROR_MESSAGES.INVALID_FORMAT;
+
+      return message.replace(/\{param\}/g, String(param));
+    }
+
+    /**
+     * Validates a field against its rules, stopping at the first failure
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+     * @returns {Promise<Object>} { isValid, errorMessage, rule }
+     */
+    async function validate(field) {
+      const fieldRules = getFieldRules(field);
+      const value = readValue(field);
+      const condition = fieldRules.requiredIf;
+      const conditionMet = condition && (condition.value === undefined
+        ? getValue(field.form, condition.field) !== ''
+        : getValue(field.form, condition.field) === condition.value);
+
+      if (!value) {
+        return fieldRules.required || conditionMet
+          ? { isValid: false, errorMessage: getMessage(field, fieldRules, 'required'), rule: 'required' }
+          : { isValid: true, errorMessage: '', rule: null };
+      }
+
+      const context = {
+        field,
+        form: field.form,
+        getValue: (name) => getValue(field.form, name),
+      };
+
+      for (const { name, param } of fieldRules.rules) {
+        const validator = validators.get(name);
+
+        if (!validator) {
+          logger.warn(`Unknown validation rule: ${name}`, { field: field.name });
+          continue;
+        }
+
+        let isValid = true;
+        try {
+          // Rules run in order so an async check only runs once the cheap ones pass
+          isValid = await validator.validate(value, param, context);
+        } catch (error) {
+          logger.error(`Validation rule failed: ${name}`, { field: field.name, error: error.message });
+        }
+
+        if (!isValid) {
+          return { isValid: false, errorMessage: getMessage(field, fieldRules, name, param), rule: name };
+        }
+      }
+
+      return { isValid: true, errorMessage: '', rule: null };
+    }
+
+    /**
+     * Finds fields whose requirement depends on another field
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} fieldName - Field that changed
+     * @returns {Element[]} Dependent fields
+     */
+    function getDependents(form, fieldName) {
+      if (!form || !fieldName) {
+        return [];
+      }
+
+      return Array.from(form.elements).filter((element) => {
+        if (!element.name || element === form.elements.namedItem(fieldName)) {
+          return false;
+        }
+        const condition = getFieldRules(element).requiredIf;
+        return Boolean(condition && condition.field === fieldName);
+      });
+    }
+
+    return Object.freeze({
+      validate,
+      registerValidator,
+      getDependents,
+    });
+  })();
+
+  // ============================================
+  // Contact Form Validation Module
+  // ============================================
+
+  const ContactFormValidation = (function createContactFormValidationModule() {
+    const logger = createLogger('ContactFormValidation');
+
+    const pendingValidations = new WeakMap();
+
+    /**
+     * Validates a single form field
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field to validate
+     * @returns {Promise<Object>} Validation result with isValid, errorMessage and the failing rule
+     */
+    function validateField(field) {
+      return FormValidationRules.validate(field);
+    }
+
+    /**
+     * Displays validation error for a field
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+     * @param {string} errorMessage - Error message to display
+     * @param {string} rule - Name of the rule that failed
+     */
+    function showFieldError(field, errorMessage, rule) {
+      const formGroup = field.closest(SELECTORS.FORM_GROUPS);
+      if (!formGroup) return;
+
+      const errorElement = formGroup.querySelector(SELECTORS.FORM_ERROR);
+      if (!errorElement) return;
+
+      if (field.getAttribute('aria-invalid') !== 'true') {
+        ContactFormAnalytics.recordFieldError(field, rule);
+      }
+
+      field.setAttribute('aria-invalid', 'true');
+      errorElement.textContent = errorMessage;
+      errorElement.style.display = 'block';
+    }
+
+    /**
+     * Clears validation error for a field
+     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     */
+    function clearFieldError(field) {
+      const formGroup = field.closest(SELECTORS.FORM_GROUPS);
+      if (!formGroup) return;
+
+      const errorElement = formGroup.querySelector(SELECTORS.FORM_ERROR);
+      if (!errorElement) return;
+
+      field.setAttribute('aria-invalid', 'false');
+      errorElement.textContent = '';
+      errorElement.style.display = 'none';
+    }
+
+    /**
+     * Returns the fields a form validates
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Element[]} Inputs, textareas and selects, excluding hidden inputs and buttons
+     */
+    function getValidatableFields(form) {
+      return Array.from(form.elements).filter((element) => (
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) &&
+        !['hidden', 'submit', 'button', 'reset'].includes(element.type)
+      ));
+    }
+
+    /**
+     * Validates all form fields and shows their errors
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Promise<Object[]>} Failures as { field, error } where error is the
+     *   rule name; empty when the form is valid
+     */
+    async function validateForm(form) {
+      const fields = getValidatableFields(form);
+      const results = await Promise.all(fields.map(validateField));
+      const errors = [];
+
+      results.forEach(({ isValid, errorMessage, rule }, index) => {
+        const field = fields[index];
+
+        if (!isValid) {
+          showFieldError(field, errorMessage, rule);
+          errors.push({
+            field: field.name,
+            error: rule,
+          });
+        } else {
+          clearFieldError(field);
+        }
+      });
+
+      if (errors.length > 0) {
+        logger.warn('Form validation failed', { form: form.getAttribute('data-form'), errors });
+      }
+
+      return errors;
+    }
+
+    /**
+     * Validates a field and shows or clears its error, ignoring results that
+     * arrive after a newer validation of the same field has started
+     * @param {Element} field - Form field
+     */
+    async function revalidate(field) {
+      const token = (pendingValidations.get(field) || 0) + 1;
+      pendingValidations.set(field, token);
+
+      const { isValid, errorMessage, rule } = await validateField(field);
+
+      if (pendingValidations.get(field) !== token) {
+        return;
+      }
+
+      if (!isValid) {
+        showFieldError(field, errorMessage, rule);
+      } else {
+        clearFieldError(field);
+      }
+    }
+
+    /**
+     * Handles real-time field validation
+     *
+     * Fields whose requirement depends on this one (data-required-if) are
+     * re-checked too, but only to clear or update an error already shown.
+     *
+     * @param {Event} event - Input, change or blur event
+     */
+    function handleFieldValidation(event) {
+      const field = event.target;
+
+      revalidate(field);
+
+      FormValidationRules.getDependents(field.form, field.name)
+        .filter((dependent) => dependent.getAttribute('aria-invalid') === 'true')
+        .forEach(revalidate);
+    }
+
+    return Object.freeze({
+      validateForm,
+      handleFieldValidation,
+      showFieldError,
+      clearFieldError,
+      getValidatableFields,
+    });
+  })();
+
+  // ============================================
+  // Form Outbox Module
+  // ============================================
+
+  /**
+   * Keeps submissions that could not be sent in IndexedDB and delivers them later.
+   *
+   * Delivery runs in the service worker (src/sw.js) through Background Sync, so it
+   * works after the tab is closed. Browsers without Background Sync send from the
+   * page on load and on the "online" event instead. Records are keyed by the
+   * submission's idempotency key, so saving the same submission twice keeps one
+   * record, and each record is claimed before it is sent so that only one open tab
+   * or the service worker sends it. Endpoints that receive the idempotency header
+   * can also drop a repeat themselves.
+   */
+  const FormOutbox = (function createFormOutboxModule() {
+    const logger = createLogger('FormOutbox');
+    // Shared with src/sw.js
+    const DB_NAME = 'nychomeschool-outbox';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'submissions';
+    const SYNC_TAG = 'form-outbox';
+    const RESULT_MESSAGE_TYPE = 'form-outbox-result';
+    // A claimed record is left alone by other senders for this long; longer than
+    // any request timeout so a slow send is never duplicated
+    const CLAIM_DURATION_MS = 60000;
+    const STATUS_CLASS = 'form-outbox-status';
+    const reported = new Set();
+    let dbPromise = null;
+    let isFlushing = false;
+    let hasBackgroundSync = false;
+
+    /**
+     * Checks whether submissions can be saved in this browser
+     * @returns {boolean} True when IndexedDB is available
+     */
+    function isAvailable() {
+      return typeof window.indexedDB !== 'undefined';
+    }
+
+    /**
+     * Opens the outbox database, creating it on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    function openDatabase() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        }).catch((error) => {
+          dbPromise = null;
+          throw error;
         });
       }
+
+      return dbPromise;
+    }
+
+    /**
+     * Runs one request against the submissions store
+     * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request's result once the transaction completes
+     */
+    async function runTransaction(mode, operation) {
+      const db = await openDatabase();
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    /**
+     * Reads every saved submission
+     * @returns {Promise<Object[]>} Records, empty when the outbox cannot be read
+     */
+    async function readAll() {
+      if (!isAvailable()) {
+        return [];
+      }
+
+      try {
+        return await runTransaction('readonly', (store) => store.getAll());
+      } catch (error) {
+        logger.warn('Could not read the form outbox', { error: error.message });
+        return [];
+      }
+    }
+
+    /**
+     * Finds the form a record was submitted from
+     * @param {string} formName - data-form name
+     * @returns {HTMLFormElement|undefined} Form, when it is on this page
+     */
+    function findForm(formName) {
+      return querySelectorAll(SELECTORS.FORMS).find((form) => form.getAttribute('data-form') === formName);
+    }
+
+    /**
+     * Shows or clears the outbox status line on a form
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} text - Status text; empty removes the line
+     */
+    function setStatus(form, text) {
+      let status = form.querySelector(`.${STATUS_CLASS}`);
+
+      if (!text) {
+        if (status) {
+          status.remove();
+        }
+        return;
+      }
+
+      if (!status) {
+        status = document.createElement('p');
+        status.className = STATUS_CLASS;
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        form.appendChild(status);
+      }
+
+      status.textContent = text;
+    }
+
+    /**
+     * Marks every form that still has saved submissions as pending
+     * @returns {Promise<void>}
+     */
+    async function refreshStatus() {
+      const pendingForms = new Set((await readAll()).map((record) => record.formName));
+
+      querySelectorAll(SELECTORS.FORMS).forEach((form) => {
+        const status = form.querySelector(`.${STATUS_CLASS}`);
+        const isPending = pendingForms.has(form.getAttribute('data-form'));
+
+        if (isPending) {
+          setStatus(form, ERROR_MESSAGES.OUTBOX_PENDING);
+        } else if (status && status.textContent === ERROR_MESSAGES.OUTBOX_PENDING) {
+          setStatus(form, '');
+        }
+      });
     }
 
     /**
-     * Generates a session ID
-     * @returns {string} Session ID
+     * Sends the analytics for a saved submission's outcome
+     * @param {Object} record - Outbox record
+     * @param {string} outcome - "delivered", "rejected" or "expired"
+     * @param {number} status - HTTP status of a rejected submission
      */
-    function generateSessionId() {
-      return `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    function trackResult(record, outcome, status) {
+      if (outcome === 'delivered') {
+        Analytics.trackEvent(record.events.submitSuccess, {
+          form_name: record.formName,
+          attempts: record.attempts + 1,
+          submission_method: 'outbox',
+          timestamp: Date.now(),
+        });
+
+        if (record.conversion) {
+          GoogleAnalytics.trackConversion(record.conversion, {
+            form_name: record.formName,
+            submission_method: 'outbox',
+          });
+        }
+        return;
+      }
+
+      Analytics.trackEvent(record.events.submitError, {
+        form_name: record.formName,
+        error: outcome === 'expired' ? 'Outbox entry expired' : `HTTP error! status: ${status}`,
+        error_type: outcome === 'expired' ? 'expired' : 'client',
+        status,
+        attempts: record.attempts + 1,
+        timestamp: Date.now(),
+      });
     }
 
     /**
-     * Tracks a Google Analytics event
-     * @param {string} eventName - Event name
-     * @param {Object} eventParams - Event parameters
+     * Reports the outcome of a saved submission once, whoever delivered it
+     * @param {Object} record - Outbox record
+     * @param {string} outcome - "delivered", "rejected" or "expired"
+     * @param {number} [status] - HTTP status of a rejected submission
+     * @param {boolean} [shouldTrack] - False when another open tab sends the analytics
      */
-    function trackEvent(eventName, eventParams = {}) {
-      if (!isAvailable()) {
-        log('warn', 'Cannot track event - Google Analytics not available', {
-          eventName,
-        });
+    function reportResult(record, outcome, status = 0, shouldTrack = true) {
+      if (reported.has(record.id)) {
         return;
       }
+      reported.add(record.id);
 
-      try {
-        const enrichedParams = {
-          ...eventParams,
-          timestamp: Date.now(),
-          page_location: window.location.href,
-          page_path: window.location.pathname,
-          page_title: document.title,
-        };
+      if (shouldTrack) {
+        trackResult(record, outcome, status);
+      }
 
-        window.gtag('event', eventName, enrichedParams);
+      if (outcome === 'delivered') {
+        logger.info('Saved submission delivered', { form: record.formName });
+      } else {
+        logger.error('Saved submission was not delivered', { form: record.formName, outcome, status });
+      }
 
-        log('info', `GA4 event tracked: ${eventName}`, enrichedParams);
-      } catch (error) {
-        log('error', 'Failed to track GA4 event', {
-          eventName,
-          error: error.message,
-        });
+      const form = findForm(record.formName);
+      if (!form) {
+        return;
       }
-    }
 
-    /**
-     * Tracks conversion events
-     * @param {string} conversionName - Conversion name
-     * @param {Object} conversionData - Conversion data
-     */
-    function trackConversion(conversionName, conversionData = {}) {
-      trackEvent('conversion', {
-        conversion_name: conversionName,
-        ...conversionData,
-      });
+      const text = outcome === 'delivered' ? ERROR_MESSAGES.OUTBOX_DELIVERED : record.errorMessage;
+      setStatus(form, text);
+
+      setTimeout(() => {
+        const statusLine = form.querySelector(`.${STATUS_CLASS}`);
+        if (statusLine && statusLine.textContent === text) {
+          statusLine.remove();
+        }
+      }, 10000);
     }
 
     /**
-     * Tracks user engagement
-     * @param {string} engagementType - Type of engagement
-     * @param {Object} engagementData - Engagement data
+     * Claims a record for sending, so other tabs and the service worker skip it
+     *
+     * The read and the write share one readwrite transaction, which IndexedDB runs
+     * alone, so two senders can never both claim the same record.
+     *
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} The claimed record, or null when it is gone or
+     *   another sender holds it
      */
-    function trackEngagement(engagementType, engagementData = {}) {
-      const engagementTime = Date.now() - sessionStartTime;
+    async function claim(id) {
+      const db = await openDatabase();
 
-      trackEvent(ANALYTICS_EVENTS.PAGE_ENGAGEMENT, {
-        engagement_type: engagementType,
-        engagement_time_msec: engagementTime,
-        ...engagementData,
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const request = store.get(id);
+        let claimed = null;
+
+        request.onsuccess = () => {
+          const record = request.result;
+
+          if (record && !(record.sendingUntil > Date.now())) {
+            claimed = { ...record, sendingUntil: Date.now() + CLAIM_DURATION_MS };
+            store.put(claimed);
+          }
+        };
+        transaction.oncomplete = () => resolve(claimed);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
       });
     }
 
     /**
-     * Initializes scroll depth tracking
+     * Sends one saved submission
+     * @param {Object} record - Outbox record
+     * @returns {Promise<boolean>} False when it failed on the network and should wait
      */
-    function initializeScrollDepthTracking() {
-      const scrollDepths = [25, 50, 75, 90, 100];
+    async function deliver(record) {
+      const claimed = await claim(record.id);
 
-      const trackScrollDepth = debounce(() => {
-        const scrollPercentage = Math.round(
-          ((window.scrollY + window.innerHeight) / document.documentElement.scrollHeight) * 100
-        );
+      if (!claimed) {
+        logger.debug('Saved submission is being sent elsewhere', { form: record.formName });
+        return true;
+      }
 
-        scrollDepths.forEach((depth) => {
-          if (scrollPercentage >= depth && !scrollDepthTracked.has(depth)) {
-            scrollDepthTracked.add(depth);
-            trackEvent(ANALYTICS_EVENTS.SCROLL_DEPTH, {
-              scroll_depth: depth,
-              scroll_percentage: scrollPercentage,
-            });
-          }
+      if (Date.now() > claimed.expiresAt) {
+        await runTransaction('readwrite', (store) => store.delete(claimed.id));
+        reportResult(claimed, 'expired');
+        return true;
+      }
+
+      const formData = new FormData();
+      claimed.fields.forEach(([name, value]) => formData.append(name, value));
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.FORM_SUBMIT_TIMEOUT_MS);
+      let response;
+
+      try {
+        response = await fetch(claimed.endpoint, {
+          method: 'POST',
+          body: formData,
+          headers: claimed.headers,
+          signal: controller.signal,
         });
-      }, 500);
+      } catch (error) {
+        logger.debug('Saved submission still cannot be sent', { error: error.message });
+        await runTransaction('readwrite', (store) => store.put({ ...claimed, sendingUntil: 0 }));
+        return false;
+      } finally {
+        clearTimeout(timeoutId);
+      }
 
-      window.addEventListener('scroll', trackScrollDepth, { passive: true });
+      if (response.ok || (response.status >= 400 && response.status < 500 && response.status !== 429)) {
+        await runTransaction('readwrite', (store) => store.delete(claimed.id));
+        reportResult(claimed, response.ok ? 'delivered' : 'rejected', response.status);
+        return true;
+      }
+
+      await runTransaction('readwrite', (store) => {
+        return store.put({ ...claimed, attempts: claimed.attempts + 1, sendingUntil: 0 });
+      });
+      return true;
     }
 
     /**
-     * Initializes engagement time tracking
+     * Sends saved submissions from the page, for browsers without Background Sync
+     * @returns {Promise<void>}
      */
-    function initializeEngagementTracking() {
-      let isEngaged = true;
-      let engagementStartTime = Date.now();
+    async function flush() {
+      if (isFlushing || navigator.onLine === false) {
+        return;
+      }
 
-      // Track visibility changes
-      document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-          if (isEngaged) {
-            const engagementDuration = Date.now() - engagementStartTime;
-            trackEngagement('visibility_hidden', {
-              engagement_duration_msec: engagementDuration,
-            });
-            isEngaged = false;
+      isFlushing = true;
+
+      try {
+        for (const record of await readAll()) {
+          if (!(await deliver(record))) {
+            break;
           }
-        } else {
-          engagementStartTime = Date.now();
-          isEngaged = true;
-          trackEngagement('visibility_visible');
         }
-      });
+      } catch (error) {
+        logger.warn('Form outbox flush failed', { error: error.message });
+      } finally {
+        isFlushing = false;
+        await refreshStatus();
+      }
+    }
 
-      // Track before unload
-      window.addEventListener('beforeunload', () => {
-        if (isEngaged) {
-          const totalEngagementTime = Date.now() - sessionStartTime;
-          trackEngagement('session_end', {
-            total_engagement_time_msec: totalEngagementTime,
-          });
+    /**
+     * Asks the service worker to send the outbox, falling back to the page
+     * @returns {Promise<void>}
+     */
+    async function scheduleDelivery() {
+      if (hasBackgroundSync) {
+        try {
+          const registration = await navigator.serviceWorker.ready;
+          await registration.sync.register(SYNC_TAG);
+          return;
+        } catch (error) {
+          logger.warn('Background Sync registration failed', { error: error.message });
         }
-      });
+      }
+
+      await flush();
     }
 
     /**
-     * Sets user properties
-     * @param {Object} properties - User properties
+     * Saves a submission for later delivery
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} settings - Form settings from ContactForm
+     * @param {FormData} formData - Submitted data
+     * @param {string} idempotencyKey - The submission's idempotency key
+     * @returns {Promise<boolean>} True once saved
      */
-    function setUserProperties(properties) {
+    async function enqueue(form, settings, formData, idempotencyKey) {
       if (!isAvailable()) {
-        log('warn', 'Cannot set user properties - Google Analytics not available');
-        return;
+        return false;
+      }
+
+      const headers = { 'Accept': 'application/json' };
+      if (settings.idempotencyHeader) {
+        headers[settings.idempotencyHeader] = idempotencyKey;
       }
 
+      const record = {
+        id: idempotencyKey,
+        formName: settings.name,
+        endpoint: settings.endpoint,
+        headers,
+        // Files cannot be cloned reliably into IndexedDB everywhere, so only text is kept
+        fields: Array.from(formData.entries()).filter(([, value]) => typeof value === 'string'),
+        events: { submitSuccess: settings.events.submitSuccess, submitError: settings.events.submitError },
+        conversion: settings.conversion,
+        errorMessage: settings.errorMessage,
+        attempts: 0,
+        sendingUntil: 0,
+        expiresAt: Date.now() + CONFIG.FORM_OUTBOX_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+      };
+
       try {
-        window.gtag('set', 'user_properties', properties);
-        log('info', 'User properties set', properties);
+        await runTransaction('readwrite', (store) => store.put(record));
       } catch (error) {
-        log('error', 'Failed to set user properties', {
-          error: error.message,
-        });
+        logger.warn('Could not save the submission for later', { error: error.message });
+        return false;
       }
+
+      logger.info('Submission saved to the outbox', { form: settings.name });
+      setStatus(form, ERROR_MESSAGES.OUTBOX_PENDING);
+      scheduleDelivery();
+      return true;
     }
 
-    return Object.freeze({
-      initialize,
-      trackEvent,
-      trackConversion,
-      trackEngagement,
-      setUserProperties,
-      isAvailable,
-    });
-  })();
+    /**
+     * Reports submissions the service worker delivered while this page was open
+     * @param {MessageEvent} event - Message from the service worker
+     */
+    function handleWorkerMessage(event) {
+      const data = event.data || {};
 
-  // ============================================
-  // Analytics Module
-  // ============================================
+      if (data.type !== RESULT_MESSAGE_TYPE || !Array.isArray(data.results)) {
+        return;
+      }
+
+      data.results.forEach(({ record, outcome, status }) => {
+        reportResult(record, outcome, status, data.track !== false);
+      });
+      refreshStatus();
+    }
 
-  const Analytics = (function createAnalyticsModule() {
     /**
-     * Tracks an analytics event
-     * @param {string} eventName - Event name
-     * @param {Object} eventData - Event data
+     * Registers the service worker
+     * @returns {Promise<void>}
      */
-    function trackEvent(eventName, eventData = {}) {
+    async function registerWorker() {
+      if (!CONFIG.SERVICE_WORKER_URL || !('serviceWorker' in navigator)) {
+        return;
+      }
+
       try {
-        const payload = {
-          event: eventName,
-          timestamp: Date.now(),
-          url: window.location.href,
-          ...eventData,
-        };
+        const registration = await navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL);
+        hasBackgroundSync = 'sync' in registration;
+        navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+      } catch (error) {
+        logger.warn('Service worker registration failed', { error: error.message });
+      }
+    }
 
-        log('info', `Analytics event tracked: ${eventName}`, payload);
+    /**
+     * Registers the service worker, then sends anything left from earlier visits
+     * @returns {Promise<void>}
+     */
+    async function start() {
+      await registerWorker();
 
-        // Track with Google Analytics 4
-        GoogleAnalytics.trackEvent(eventName, eventData);
+      if ((await readAll()).length > 0) {
+        await refreshStatus();
+        await scheduleDelivery();
+      }
+    }
 
-        // Legacy dataLayer push for backwards compatibility
-        if (typeof window.dataLayer !== 'undefined' && Array.isArray(window.dataLayer)) {
-          window.dataLayer.push(payload);
-        }
-      } catch (error) {
-        log('error', 'Failed to track analytics event', {
-          eventName,
-          error: error.message,
-        });
+    /**
+     * Starts the outbox; worker registration and delivery continue in the background
+     */
+    function initialize() {
+      if (!isAvailable()) {
+        logger.warn('IndexedDB not supported - offline submissions disabled');
+        return;
       }
+
+      window.addEventListener('online', scheduleDelivery);
+      start();
     }
 
-    const debouncedTrackEvent = debounce(trackEvent, CONFIG.ANALYTICS_DEBOUNCE_MS);
+    /**
+     * Removes the connectivity and service worker listeners
+     */
+    function destroy() {
+      window.removeEventListener('online', scheduleDelivery);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+      }
+    }
 
     return Object.freeze({
-      trackEvent,
-      trackEventDebounced: debouncedTrackEvent,
+      initialize,
+      destroy,
+      enqueue,
     });
   })();
 
   // ============================================
-  // Smooth Scroll Module
+  // Contact Form Submission Module
   // ============================================
 
-  const SmoothScroll = (function createSmoothScrollModule() {
+  const ContactFormSubmission = (function createContactFormSubmissionModule() {
+    const logger = createLogger('ContactFormSubmission');
+    const RETRYABLE_ERRORS = Object.freeze(['network', 'timeout', 'rate_limited', 'server']);
+    const idempotencyKeys = new WeakMap();
+
+    /**
+     * Sets form loading state
+     * @param {HTMLFormElement} form - Form element
+     * @param {boolean} isLoading - Loading state
+     */
+    function setFormLoadingState(form, isLoading) {
+      const submitButton = form.querySelector(SELECTORS.FORM_SUBMIT_BUTTON);
+      if (!submitButton) return;
+
+      submitButton.setAttribute('aria-busy', isLoading ? 'true' : 'false');
+      submitButton.disabled = isLoading;
+
+      const formInputs = form.querySelectorAll('input, textarea, select');
+      formInputs.forEach((input) => {
+        input.disabled = isLoading;
+      });
+    }
+
+    /**
+     * Shows success message
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} message - Success message
+     */
+    function showSuccessMessage(form, message) {
+      const successMessage = document.createElement('div');
+      successMessage.className = 'form-success-message';
+      successMessage.setAttribute('role', 'alert');
+      successMessage.setAttribute('aria-live', 'polite');
+      successMessage.textContent = message;
+      successMessage.style.cssText = `
+        padding: var(--space-md);
+        margin-top: var(--space-lg);
+        background-color: var(--color-success-50);
+        color: var(--color-success-700);
+        border: 2px solid var(--color-success-500);
+        border-radius: var(--radius-md);
+        font-size: var(--font-size-base);
+        font-weight: var(--font-weight-medium);
+      `;
+
+      form.appendChild(successMessage);
+
+      setTimeout(() => {
+        successMessage.remove();
+      }, 10000);
+    }
+
+    /**
+     * Shows error message
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} message - Error message
+     */
+    function showErrorMessage(form, message) {
+      const errorMessage = document.createElement('div');
+      errorMessage.className = 'form-error-message';
+      errorMessage.setAttribute('role', 'alert');
+      errorMessage.setAttribute('aria-live', 'assertive');
+      errorMessage.textContent = message;
+      errorMessage.style.cssText = `
+        padding: var(--space-md);
+        margin-top: var(--space-lg);
+        background-color: var(--color-error-50);
+        color: var(--color-error-700);
+        border: 2px solid var(--color-error-500);
+        border-radius: var(--radius-md);
+        font-size: var(--font-size-base);
+        font-weight: var(--font-weight-medium);
+      `;
+
+      form.appendChild(errorMessage);
+
+      setTimeout(() => {
+        errorMessage.remove();
+      }, 10000);
+    }
+
     /**
-     * Calculates the target scroll position with offset
-     * @param {Element} targetElement - Target element to scroll to
-     * @returns {number} Calculated scroll position
+     * Creates a submission error carrying its failure class
+     *
+     * Types: "network", "timeout", "rate_limited", "server" (5xx), "invalid"
+     * (4xx with field errors) and "client" (any other 4xx).
+     *
+     * @param {string} type - Failure class
+     * @param {string} message - Error message for logs
+     * @param {Object} [details] - status, retryAfterMs, fieldErrors, serverMessage
+     * @returns {Error} Error with the type and details attached
      */
-    function calculateScrollPosition(targetElement) {
-      const elementRect = targetElement.getBoundingClientRect();
-      const absoluteTop = elementRect.top + window.pageYOffset;
-      return absoluteTop - CONFIG.SCROLL_OFFSET;
+    function createSubmissionError(type, message, details = {}) {
+      return Object.assign(new Error(message), {
+        type,
+        status: 0,
+        retryAfterMs: null,
+        fieldErrors: [],
+        serverMessage: '',
+        ...details,
+      });
     }
 
     /**
-     * Scrolls to a target element smoothly
-     * @param {string} targetSelector - CSS selector or hash
-     * @returns {boolean} Success status
+     * Converts a Retry-After header (seconds or HTTP date) to milliseconds
+     * @param {string|null} value - Header value
+     * @returns {number|null} Delay, or null when absent or unparseable
      */
-    function scrollToTarget(targetSelector) {
-      try {
-        const cleanSelector = targetSelector.startsWith('#')
-          ? targetSelector
-          : `#${targetSelector}`;
+    function parseRetryAfter(value) {
+      if (!value) {
+        return null;
+      }
 
-        const targetElement = querySelector(cleanSelector);
+      if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+      }
 
-        if (!targetElement) {
-          log('warn', `Scroll target not found: ${cleanSelector}`);
-          return false;
-        }
+      const date = Date.parse(value);
+      return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
 
-        const scrollPosition = calculateScrollPosition(targetElement);
+    /**
+     * Reads field errors and a message from a JSON error body.
+     *
+     * Accepts { "errors": { "email": "Already registered" } } or
+     * { "errors": [{ "field": "email", "message": "Already registered" }] }, with an
+     * optional top-level "message" (or "error") for the whole form.
+     *
+     * @param {Response} response - Failed response
+     * @returns {Promise<Object>} { fieldErrors: [{ field, message }], message }
+     */
+    async function parseErrorBody(response) {
+      const result = { fieldErrors: [], message: '' };
+      const contentType = response.headers.get('Content-Type') || '';
 
-        window.scrollTo({
-          top: scrollPosition,
-          behavior: CONFIG.SCROLL_BEHAVIOR,
-        });
+      if (!contentType.includes('json')) {
+        return result;
+      }
 
-        log('info', 'Smooth scroll executed', {
-          target: cleanSelector,
-          position: scrollPosition,
-        });
+      try {
+        const body = await response.json();
+        const errors = body && body.errors;
+
+        if (Array.isArray(errors)) {
+          result.fieldErrors = errors
+            .filter((entry) => entry && typeof entry.field === 'string')
+            .map((entry) => ({ field: entry.field, message: String(entry.message || '') }));
+        } else if (errors && typeof errors === 'object') {
+          result.fieldErrors = Object.entries(errors).map(([field, message]) => ({
+            field,
+            message: String(Array.isArray(message) ? message[0] : message),
+          }));
+        }
 
-        return true;
+        const message = body && (body.message || body.error);
+        if (typeof message === 'string') {
+          result.message = message;
+        }
       } catch (error) {
-        log('error', 'Smooth scroll failed', {
-          target: targetSelector,
-          error: error.message,
-        });
-        return false;
+        logger.debug('Error response body is not valid JSON', { error: error.message });
       }
+
+      return result;
     }
 
     /**
-     * Handles click events for smooth scrolling
-     * @param {Event} event - Click event
+     * Builds the request headers, adding the idempotency key where the form allows it
+     * @param {Object} settings - Form settings from ContactForm
+     * @param {string} idempotencyKey - Same for every attempt of one submission
+     * @returns {Object} Headers
      */
-    function handleSmoothScrollClick(event) {
-      const anchor = event.currentTarget;
-      const href = anchor.getAttribute('href');
+    function getRequestHeaders(settings, idempotencyKey) {
+      const headers = { 'Accept': 'application/json' };
 
-      if (!href || !href.startsWith('#')) {
-        return;
+      if (settings.idempotencyHeader) {
+        headers[settings.idempotencyHeader] = idempotencyKey;
       }
 
-      event.preventDefault();
-
-      const targetId = href.substring(1);
-      const scrollSuccess = scrollToTarget(targetId);
-
-      if (scrollSuccess) {
-        // Update URL hash without jumping
-        if (window.history && window.history.pushState) {
-          window.history.pushState(null, '', href);
-        }
-      }
+      return headers;
     }
 
     /**
-     * Initializes smooth scrolling for CTA buttons
+     * Sends the form data once
+     * @param {string} action - Endpoint URL
+     * @param {FormData} formData - Data captured before the fields were disabled
+     * @param {Object} headers - Request headers
+     * @returns {Promise<void>} Resolves on a 2xx response, rejects with a submission error
      */
-    function initialize() {
-      const ctaButtons = querySelectorAll(SELECTORS.CTA_BUTTONS);
+    async function sendOnce(action, formData, headers) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), CONFIG.FORM_SUBMIT_TIMEOUT_MS);
+      let response;
 
-      if (ctaButtons.length === 0) {
-        log('warn', 'No CTA buttons found for smooth scroll initialization');
+      try {
+        response = await fetch(action, {
+          method: 'POST',
+          body: formData,
+          headers,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw createSubmissionError('timeout', 'Request timeout');
+        }
+        throw createSubmissionError('network', error.message);
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      if (response.ok) {
         return;
       }
 
-      ctaButtons.forEach((button) => {
-        const href = button.getAttribute('href');
+      const { status } = response;
+      const { fieldErrors, message } = await parseErrorBody(response);
+      const details = { status, fieldErrors, serverMessage: message };
 
-        if (href && href.startsWith('#')) {
-          button.addEventListener('click', handleSmoothScrollClick);
-          log('info', 'Smooth scroll attached to button', { href });
-        }
-      });
+      if (status === 429 || status >= 500) {
+        throw createSubmissionError(status === 429 ? 'rate_limited' : 'server', `HTTP error! status: ${status}`, {
+          ...details,
+          retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+        });
+      }
 
-      log('info', `Smooth scroll initialized for ${ctaButtons.length} buttons`);
+      throw createSubmissionError(
+        fieldErrors.length > 0 ? 'invalid' : 'client',
+        `HTTP error! status: ${status}`,
+        details
+      );
     }
 
-    return Object.freeze({
-      initialize,
-      scrollToTarget,
-    });
-  })();
-
-  // ============================================
-  // Lazy Loading Module
-  // ============================================
-
-  const LazyLoader = (function createLazyLoaderModule() {
-    let observer = null;
-    const loadingImages = new Map();
-
     /**
-     * Loads the actual image source with timeout
-     * @param {HTMLImageElement} imageElement - Image element to load
+     * Returns the delay before the next attempt, or null when it should not be retried
+     * @param {Error} error - Submission error
+     * @param {number} attempt - Attempts made so far
+     * @param {boolean} isIdempotent - Whether the endpoint gets the idempotency key
+     * @returns {number|null} Delay in milliseconds
      */
-    function loadImage(imageElement) {
-      PerformanceMonitor.mark(`image-load-start-${imageElement.className}`);
-
-      const dataSrc = imageElement.getAttribute('data-src');
+    function getRetryDelay(error, attempt, isIdempotent) {
+      if (!RETRYABLE_ERRORS.includes(error.type) || attempt > CONFIG.FORM_SUBMIT_MAX_RETRIES) {
+        return null;
+      }
 
-      if (!dataSrc) {
-        log('warn', 'Image missing data-src attribute', {
-          element: imageElement.className,
-        });
-        return;
+      // A timed-out request, or a 5xx from a gateway in front of a backend that
+      // accepted it, may have been processed; repeating it is only safe when the
+      // endpoint can recognise the repeat
+      if ((error.type === 'timeout' || error.type === 'server') && !isIdempotent) {
+        return null;
       }
 
-      const img = new Image();
-      const timeoutId = setTimeout(() => {
-        log('error', 'Image load timeout', { src: dataSrc });
-        imageElement.classList.add('load-error');
-        
-        Analytics.trackEvent(ANALYTICS_EVENTS.IMAGE_LOAD_ERROR, {
-          src: dataSrc,
-          error: 'timeout',
-          timeout_ms: CONFIG.IMAGE_LOADING_TIMEOUT_MS,
-        });
-      }, CONFIG.IMAGE_LOADING_TIMEOUT_MS);
+      if (error.retryAfterMs !== null) {
+        return error.retryAfterMs <= CONFIG.FORM_SUBMIT_MAX_RETRY_DELAY_MS ? error.retryAfterMs : null;
+      }
 
-      img.onload = function handleImageLoad() {
-        clearTimeout(timeoutId);
-        imageElement.src = dataSrc;
-        imageElement.classList.add('loaded');
-        imageElement.removeAttribute('data-src');
-
-        PerformanceMonitor.mark(`image-load-end-${imageElement.className}`);
-        PerformanceMonitor.measure(
-          `image-load-${imageElement.className}`,
-          `image-load-start-${imageElement.className}`,
-          `image-load-end-${imageElement.className}`
-        );
+      const baseDelay = Math.min(
+        CONFIG.FORM_SUBMIT_RETRY_BASE_MS * 2 ** (attempt - 1),
+        CONFIG.FORM_SUBMIT_MAX_RETRY_DELAY_MS
+      );
+      return Math.round(baseDelay / 2 + Math.random() * (baseDelay / 2));
+    }
 
-        Analytics.trackEvent(ANALYTICS_EVENTS.BACKGROUND_LOADED, {
-          src: dataSrc,
-          loadTime: performance.now(),
-        });
+    /**
+     * Returns the idempotency key for this form's data, reusing the previous key
+     * while the data is unchanged so a resubmit after an unclear failure (such as
+     * a timeout the server did process) is recognised as the same inquiry
+     * @param {HTMLFormElement} form - Form element
+     * @param {FormData} formData - Data being sent
+     * @returns {string} Idempotency key
+     */
+    function getIdempotencyKey(form, formData) {
+      const fingerprint = JSON.stringify(Array.from(formData.entries())
+        .map(([name, value]) => [name, typeof value === 'string' ? value : value.name]));
+      const previous = idempotencyKeys.get(form);
 
-        log('info', 'Background image loaded successfully', { src: dataSrc });
-        loadingImages.delete(imageElement);
-      };
+      if (previous && previous.fingerprint === fingerprint) {
+        return previous.key;
+      }
 
-      img.onerror = function handleImageError() {
-        clearTimeout(timeoutId);
-        log('error', 'Failed to load background image', { src: dataSrc });
-        imageElement.classList.add('load-error');
-        
-        Analytics.trackEvent(ANALYTICS_EVENTS.IMAGE_LOAD_ERROR, {
-          src: dataSrc,
-          error: 'load_failed',
-        });
-        
-        loadingImages.delete(imageElement);
-      };
+      const key = window.crypto && typeof window.crypto.randomUUID === 'function'
+        ? window.crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
 
-      loadingImages.set(imageElement, { img, timeoutId });
-      img.src = dataSrc;
+      idempotencyKeys.set(form, { key, fingerprint });
+      return key;
     }
 
     /**
-     * Intersection Observer callback
-     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     * Submits form data, retrying transient failures
+     * @param {string} action - Endpoint URL
+     * @param {FormData} formData - Data captured before the fields were disabled
+     * @param {Object} headers - Request headers, the same for every attempt
+     * @param {boolean} isIdempotent - Whether the headers carry the idempotency key
+     * @returns {Promise<number>} Attempts made; rejects with the last submission
+     *   error, its attempts property set
      */
-    function handleIntersection(entries) {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          const imageElement = entry.target;
-          loadImage(imageElement);
-
-          if (observer) {
-            observer.unobserve(imageElement);
+    async function submitForm(action, formData, headers, isIdempotent) {
+      let attempt = 1;
+
+      for (;;) {
+        try {
+          await sendOnce(action, formData, headers);
+          return attempt;
+        } catch (error) {
+          const delay = getRetryDelay(error, attempt, isIdempotent);
+
+          if (delay === null) {
+            error.attempts = attempt;
+            throw error;
           }
+
+          logger.warn('Form submission failed, retrying', { type: error.type, attempt, delay });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          attempt += 1;
         }
-      });
+      }
     }
 
     /**
-     * Initializes lazy loading for background images
+     * Shows server-side field errors next to their fields
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object[]} fieldErrors - Errors as { field, message }; unknown fields are skipped
      */
-    function initialize() {
-      const backgroundImage = querySelector(SELECTORS.HERO_BACKGROUND);
-
-      if (!backgroundImage) {
-        log('warn', 'Hero background image not found');
-        return;
-      }
-
-      // Check if Intersection Observer is supported
-      if (!('IntersectionObserver' in window)) {
-        log('warn', 'IntersectionObserver not supported, loading image immediately');
-        loadImage(backgroundImage);
-        return;
-      }
+    function showServerFieldErrors(form, fieldErrors) {
+      fieldErrors.forEach(({ field: name, message }) => {
+        const field = form.elements.namedItem(name);
 
-      try {
-        observer = new IntersectionObserver(handleIntersection, {
-          rootMargin: CONFIG.LAZY_LOAD_THRESHOLD,
-          threshold: CONFIG.INTERSECTION_THRESHOLD,
-        });
+        // namedItem returns a RadioNodeList for repeated names
+        if (field instanceof Element) {
+          ContactFormValidation.showFieldError(field, message || ERROR_MESSAGES.INVALID_FORMAT, 'server');
+        }
+      });
+    }
 
-        observer.observe(backgroundImage);
-        log('info', 'Lazy loading initialized for hero background');
-      } catch (error) {
-        log('error', 'Failed to initialize lazy loading', {
-          error: error.message,
-        });
-        loadImage(backgroundImage);
+    /**
+     * Picks the message for a failed submission
+     * @param {Error} error - Submission error
+     * @param {Object} settings - Form settings
+     * @returns {string} Message to show
+     */
+    function getFailureMessage(error, settings) {
+      switch (error.type) {
+        case 'network':
+          return ERROR_MESSAGES.NETWORK_ERROR;
+        case 'timeout':
+          return ERROR_MESSAGES.SUBMISSION_TIMEOUT;
+        case 'rate_limited':
+          return ERROR_MESSAGES.SUBMISSION_RATE_LIMITED;
+        case 'server':
+          return ERROR_MESSAGES.SUBMISSION_SERVER_ERROR;
+        case 'invalid':
+          return error.serverMessage || ERROR_MESSAGES.SUBMISSION_INVALID;
+        default:
+          return error.serverMessage || settings.errorMessage;
       }
     }
 
     /**
-     * Cleanup function
+     * Clears a form, its draft and its validation errors after it was sent or saved
+     * @param {HTMLFormElement} form - Form element
      */
-    function destroy() {
-      if (observer) {
-        observer.disconnect();
-        observer = null;
-      }
+    function resetForm(form) {
+      form.reset();
+      FormDrafts.clear(form);
 
-      // Clear any pending timeouts
-      loadingImages.forEach(({ timeoutId }) => {
-        clearTimeout(timeoutId);
+      ContactFormValidation.getValidatableFields(form).forEach((field) => {
+        ContactFormValidation.clearFieldError(field);
       });
-      loadingImages.clear();
-
-      log('info', 'Lazy loader destroyed');
     }
 
-    return Object.freeze({
-      initialize,
-      destroy,
-    });
-  })();
-
-  // ============================================
-  // CTA Button Tracking Module
-  // ============================================
-
-  const CTATracking = (function createCTATrackingModule() {
     /**
-     * Handles CTA button click events
-     * @param {Event} event - Click event
+     * Saves a submission that could not be sent because the browser is offline
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} settings - Form settings from ContactForm
+     * @param {FormData} formData - Submitted data
+     * @param {string} idempotencyKey - The submission's idempotency key
+     * @param {string} errorType - Failure class that caused it
+     * @returns {Promise<boolean>} True when saved; false leaves the failure to be shown
      */
-    function handleCTAClick(event) {
-      const button = event.currentTarget;
-      const buttonText = button.textContent.trim();
-      const buttonHref = button.getAttribute('href');
-      const buttonType = button.classList.contains('hero-cta-button--primary')
-        ? 'primary'
-        : 'secondary';
+    async function queueSubmission(form, settings, formData, idempotencyKey, errorType) {
+      if (!(await FormOutbox.enqueue(form, settings, formData, idempotencyKey))) {
+        return false;
+      }
 
-      Analytics.trackEvent(ANALYTICS_EVENTS.CTA_CLICK, {
-        buttonText,
-        buttonHref,
-        buttonType,
+      idempotencyKeys.delete(form);
+
+      Analytics.trackEvent(settings.events.submitQueued, {
+        form_name: settings.name,
+        error_type: errorType,
         timestamp: Date.now(),
       });
+      ContactFormAnalytics.recordSubmitted(form);
 
-      log('info', 'CTA button clicked', {
-        buttonText,
-        buttonHref,
-        buttonType,
-      });
+      showSuccessMessage(form, ERROR_MESSAGES.SUBMISSION_QUEUED);
+      resetForm(form);
+      return true;
     }
 
     /**
-     * Initializes CTA button tracking
+     * Validates and submits a form using its own settings
+     * @param {Event} event - Submit event
+     * @param {Object} settings - Form settings from ContactForm
      */
-    function initialize() {
-      const ctaButtons = querySelectorAll(SELECTORS.CTA_BUTTONS);
+    async function handleFormSubmit(event, settings) {
+      event.preventDefault();
 
-      if (ctaButtons.length === 0) {
-        log('warn', 'No CTA buttons found for tracking initialization');
+      const form = event.target;
+
+      // Remove any existing messages
+      const existingMessages = form.querySelectorAll('.form-success-message, .form-error-message');
+      existingMessages.forEach((msg) => msg.remove());
+
+      // Validate form
+      const validationErrors = await ContactFormValidation.validateForm(form);
+      if (validationErrors.length > 0) {
+        Analytics.trackEvent(settings.events.validationError, {
+          form_name: settings.name,
+          errors: validationErrors,
+          timestamp: Date.now(),
+        });
+
+        const firstInvalidField = form.querySelector('[aria-invalid="true"]');
+        if (firstInvalidField) {
+          firstInvalidField.focus();
+        }
         return;
       }
 
-      ctaButtons.forEach((button) => {
-        button.addEventListener('click', handleCTAClick);
+      // Track submission start
+      Analytics.trackEvent(settings.events.submitStart, {
+        form_name: settings.name,
+        timestamp: Date.now(),
       });
 
-      log('info', `CTA tracking initialized for ${ctaButtons.length} buttons`);
-    }
+      logger.info('Form submission started', { form: settings.name });
 
-    return Object.freeze({
-      initialize,
-    });
-  })();
+      // Capture the data first - disabled fields are left out of FormData
+      const formData = new FormData(form);
+      const idempotencyKey = getIdempotencyKey(form, formData);
 
-  // ============================================
-  // Hero Section Visibility Tracking
-  // ============================================
+      // Set loading state
+      setFormLoadingState(form, true);
 
-  const VisibilityTracking = (function createVisibilityTrackingModule() {
-    let hasTrackedView = false;
-    let observer = null;
+      try {
+        // Skip the request and its retries when the browser knows it is offline
+        if (navigator.onLine === false) {
+          throw createSubmissionError('network', 'Offline');
+        }
 
-    /**
-     * Handles hero section visibility
-     * @param {IntersectionObserverEntry[]} entries - Observed entries
-     */
-    function handleVisibility(entries) {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting && !hasTrackedView) {
-          hasTrackedView = true;
+        // Submit form
+        const attempts = await submitForm(
+          settings.endpoint,
+          formData,
+          getRequestHeaders(settings, idempotencyKey),
+          Boolean(settings.idempotencyHeader)
+        );
+        idempotencyKeys.delete(form);
+
+        // Track success
+        Analytics.trackEvent(settings.events.submitSuccess, {
+          form_name: settings.name,
+          attempts,
+          submission_method: 'web_form',
+          timestamp: Date.now(),
+        });
+        ContactFormAnalytics.recordSubmitted(form);
 
-          Analytics.trackEvent(ANALYTICS_EVENTS.HERO_VIEW, {
-            timestamp: Date.now(),
-            viewportWidth: window.innerWidth,
-            viewportHeight: window.innerHeight,
+        // Track conversion
+        if (settings.conversion) {
+          GoogleAnalytics.trackConversion(settings.conversion, {
+            form_name: settings.name,
+            submission_method: 'web_form',
           });
+        }
 
-          log('info', 'Hero section viewed');
+        logger.info('Form submitted successfully', { form: settings.name });
 
-          if (observer) {
-            observer.disconnect();
-          }
-        }
-      });
-    }
+        // Show success message
+        showSuccessMessage(form, settings.successMessage);
 
-    /**
-     * Initializes visibility tracking
-     */
-    function initialize() {
-      const heroSection = querySelector(SELECTORS.HERO_SECTION);
+        // Reset form and clear any validation errors
+        resetForm(form);
+      } catch (error) {
+        const errorType = error.type || 'client';
 
-      if (!heroSection) {
-        log('warn', 'Hero section not found for visibility tracking');
-        return;
-      }
+        // Only a lost connection is saved for later. A timeout may already have reached
+        // the server, and a network error while online (e.g. a CORS failure) would
+        // fail again, so both are shown to the visitor instead
+        if (errorType === 'network' && navigator.onLine === false &&
+          (await queueSubmission(form, settings, formData, idempotencyKey, errorType))) {
+          return;
+        }
 
-      if (!('IntersectionObserver' in window)) {
-        log('warn', 'IntersectionObserver not supported for visibility tracking');
-        Analytics.trackEvent(ANALYTICS_EVENTS.HERO_VIEW, {
+        // Track error
+        Analytics.trackEvent(settings.events.submitError, {
+          form_name: settings.name,
+          error: error.message,
+          error_type: errorType,
+          status: error.status || 0,
+          attempts: error.attempts || 1,
           timestamp: Date.now(),
-          fallback: true,
-        });
-        return;
-      }
-
-      try {
-        observer = new IntersectionObserver(handleVisibility, {
-          threshold: CONFIG.INTERSECTION_THRESHOLD,
         });
 
-        observer.observe(heroSection);
-        log('info', 'Visibility tracking initialized');
-      } catch (error) {
-        log('error', 'Failed to initialize visibility tracking', {
+        logger.error('Form submission failed', {
+          form: settings.name,
+          type: errorType,
           error: error.message,
         });
+
+        // Show error message
+        showErrorMessage(form, getFailureMessage(error, settings));
+        showServerFieldErrors(form, error.fieldErrors || []);
+      } finally {
+        // Reset loading state
+        setFormLoadingState(form, false);
+      }
+
+      // Focus a field the server rejected, once the fields are enabled again
+      const rejectedField = form.querySelector('[aria-invalid="true"]');
+      if (rejectedField) {
+        rejectedField.focus();
       }
     }
 
     return Object.freeze({
-      initialize,
+      handleFormSubmit,
     });
   })();
 
   // ============================================
-  // Program Cards Interaction Module
+  // Contact Form Analytics Module
   // ============================================
 
-  const ProgramCards = (function createProgramCardsModule() {
+  const ContactFormAnalytics = (function createContactFormAnalyticsModule() {
+    const logger = createLogger('ContactFormAnalytics');
+    const formStates = new Map();
+    // error_type values from before the rules engine (lowercased ERROR_MESSAGES keys),
+    // kept so existing reports keep matching; other rules report their own name
+    const LEGACY_ERROR_TYPES = Object.freeze({
+      required: 'required',
+      email: 'invalid_email',
+      tel: 'invalid_phone',
+      name: 'invalid_name',
+      zip: 'invalid_zip',
+      pattern: 'invalid_format',
+    });
+
     /**
-     * Extracts program card metadata
-     * @param {Element} card - Program card element
-     * @returns {Object} Card metadata
+     * Creates an empty funnel state
+     * @param {Object} settings - Form settings; name and events are used
+     * @returns {Object} Funnel state
      */
-    function getCardMetadata(card) {
-      const titleElement = card.querySelector('h3');
-      const descriptionElement = card.querySelector('.program-description');
-      
+    function createState(settings) {
       return {
-        title: titleElement ? titleElement.textContent.trim() : 'Unknown',
-        description: descriptionElement ? descriptionElement.textContent.trim().substring(0, 100) : '',
-        index: Array.from(card.parentElement.children).indexOf(card),
+        formName: settings.name,
+        events: settings.events,
+        startedAt: null,
+        lastField: null,
+        submitAttempts: 0,
+        fields: new Map(),
+        // Set once the abandon event is sent for the current hide, so it is not repeated
+        abandonReported: false,
       };
     }
 
     /**
-     * Handles program card click events
-     * @param {Event} event - Click event
+     * Returns the tracked state for a field, creating it on first use
+     * @param {Object} state - Funnel state
+     * @param {string} fieldName - Field name
+     * @returns {Object} Field state
      */
-    function handleCardClick(event) {
-      const card = event.currentTarget;
-      const metadata = getCardMetadata(card);
-
-      card.classList.add(CONFIG.PROGRAM_CARD_ACTIVE_CLASS);
-      setTimeout(() => {
-        card.classList.remove(CONFIG.PROGRAM_CARD_ACTIVE_CLASS);
-      }, 200);
-
-      Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAM_CARD_CLICK, {
-        ...metadata,
-        timestamp: Date.now(),
-      });
-
-      log('info', 'Program card clicked', metadata);
+    function getFieldState(state, fieldName) {
+      if (!state.fields.has(fieldName)) {
+        state.fields.set(fieldName, {
+          focusCount: 0,
+          timeMs: 0,
+          focusedSince: null,
+          correctionCount: 0,
+          errorCount: 0,
+          hadValueOnFocus: false,
+          editedThisFocus: false,
+        });
+      }
+      return state.fields.get(fieldName);
     }
 
     /**
-     * Handles program card hover events
-     * @param {Event} event - Mouse enter event
+     * Returns the trackable field an event came from
+     * @param {Event} event - Form event
+     * @returns {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement|null} Field
      */
-    function handleCardHover(event) {
-      const card = event.currentTarget;
-      const metadata = getCardMetadata(card);
-
-      Analytics.trackEventDebounced(ANALYTICS_EVENTS.PROGRAM_CARD_HOVER, {
-        ...metadata,
-        timestamp: Date.now(),
-      });
-
-      log('info', 'Program card hovered', metadata);
+    function getField(event) {
+      const field = event.target;
+      const isField = field instanceof HTMLInputElement ||
+        field instanceof HTMLTextAreaElement ||
+        field instanceof HTMLSelectElement;
+      return isField && field.name && field.type !== 'hidden' ? field : null;
     }
 
     /**
-     * Handles program card focus events
-     * @param {Event} event - Focus event
+     * Records the first interaction with the form
+     * @param {Object} state - Funnel state
+     * @param {string} fieldName - Field that was interacted with
      */
-    function handleCardFocus(event) {
-      const card = event.currentTarget;
-      const metadata = getCardMetadata(card);
-
-      card.classList.add(CONFIG.PROGRAM_CARD_FOCUS_CLASS);
+    function markStarted(state, fieldName) {
+      if (state.startedAt !== null) {
+        return;
+      }
 
-      Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAM_CARD_FOCUS, {
-        ...metadata,
-        timestamp: Date.now(),
+      state.startedAt = Date.now();
+      Analytics.trackEvent(state.events.start, {
+        form_name: state.formName,
+        first_field: fieldName,
       });
-
-      log('info', 'Program card focused', metadata);
-    }
-
-    /**
-     * Handles program card blur events
-     * @param {Event} event - Blur event
-     */
-    function handleCardBlur(event) {
-      const card = event.currentTarget;
-      card.classList.remove(CONFIG.PROGRAM_CARD_FOCUS_CLASS);
     }
 
     /**
-     * Handles keyboard navigation for program cards
-     * @param {Event} event - Keydown event
+     * Adds the time since focus to a field's total
+     * @param {Object} fieldState - Field state
+     * @param {number} now - Current timestamp
      */
-    function handleCardKeydown(event) {
-      const card = event.currentTarget;
-      const cards = querySelectorAll(SELECTORS.PROGRAM_CARDS);
-      const currentIndex = cards.indexOf(card);
-
-      let targetIndex = -1;
-
-      switch (event.key) {
-        case 'ArrowRight':
-        case 'ArrowDown':
-          event.preventDefault();
-          targetIndex = (currentIndex + 1) % cards.length;
-          break;
-        case 'ArrowLeft':
-        case 'ArrowUp':
-          event.preventDefault();
-          targetIndex = (currentIndex - 1 + cards.length) % cards.length;
-          break;
-        case 'Home':
-          event.preventDefault();
-          targetIndex = 0;
-          break;
-        case 'End':
-          event.preventDefault();
-          targetIndex = cards.length - 1;
-          break;
-        case 'Enter':
-        case ' ':
-          event.preventDefault();
-          handleCardClick(event);
-          return;
-        default:
-          return;
-      }
-
-      if (targetIndex !== -1 && cards[targetIndex]) {
-        cards[targetIndex].focus();
+    function stopFieldClock(fieldState, now) {
+      if (fieldState.focusedSince !== null) {
+        fieldState.timeMs += now - fieldState.focusedSince;
+        fieldState.focusedSince = null;
       }
     }
 
     /**
-     * Makes program cards keyboard accessible
-     * @param {Element} card - Program card element
+     * Sends per-field summaries and resets the funnel
+     * @param {Object} state - Funnel state
+     * @param {string} outcome - "submitted" or "abandoned"
      */
-    function makeCardAccessible(card) {
-      if (!card.hasAttribute('tabindex')) {
-        card.setAttribute('tabindex', '0');
-      }
-
-      if (!card.hasAttribute('role')) {
-        card.setAttribute('role', 'button');
-      }
+    function reportFields(state, outcome) {
+      const now = Date.now();
+
+      state.fields.forEach((fieldState, fieldName) => {
+        stopFieldClock(fieldState, now);
+
+        Analytics.trackEvent(state.events.fieldSummary, {
+          form_name: state.formName,
+          field_name: fieldName,
+          outcome,
+          time_ms: Math.round(fieldState.timeMs),
+          focus_count: fieldState.focusCount,
+          refocus_count: Math.max(0, fieldState.focusCount - 1),
+          correction_count: fieldState.correctionCount,
+          error_count: fieldState.errorCount,
+        });
+      });
 
-      const titleElement = card.querySelector('h3');
-      if (titleElement && !card.hasAttribute('aria-label')) {
-        card.setAttribute('aria-label', `View details for ${titleElement.textContent.trim()}`);
-      }
+      Object.assign(state, createState({ name: state.formName, events: state.events }));
     }
 
     /**
-     * Initializes program card interactions
+     * Starts the field clock and notes whether the visitor is returning to a filled field
+     * @param {FocusEvent} event - Focusin event
      */
-    function initialize() {
-      const programCards = querySelectorAll(SELECTORS.PROGRAM_CARDS);
+    function handleFocusIn(event) {
+      const field = getField(event);
+      const state = formStates.get(event.currentTarget);
 
-      if (programCards.length === 0) {
-        log('warn', 'No program cards found for interaction initialization');
+      if (!field || !state) {
         return;
       }
 
-      programCards.forEach((card) => {
-        makeCardAccessible(card);
-
-        card.addEventListener('click', handleCardClick);
-        card.addEventListener('mouseenter', handleCardHover);
-        card.addEventListener('focus', handleCardFocus);
-        card.addEventListener('blur', handleCardBlur);
-        card.addEventListener('keydown', handleCardKeydown);
-      });
+      markStarted(state, field.name);
 
-      log('info', `Program card interactions initialized for ${programCards.length} cards`);
+      const fieldState = getFieldState(state, field.name);
+      fieldState.focusCount += 1;
+      fieldState.focusedSince = Date.now();
+      fieldState.hadValueOnFocus = field.value.length > 0;
+      fieldState.editedThisFocus = false;
+      state.lastField = field.name;
     }
 
-    return Object.freeze({
-      initialize,
-    });
-  })();
-
-  // ============================================
-  // Programs Section Visibility Tracking
-  // ============================================
-
-  const ProgramsVisibilityTracking = (function createProgramsVisibilityTrackingModule() {
-    let hasTrackedView = false;
-    let observer = null;
-
     /**
-     * Handles programs section visibility
-     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     * Stops the field clock
+     * @param {FocusEvent} event - Focusout event
      */
-    function handleVisibility(entries) {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting && !hasTrackedView) {
-          hasTrackedView = true;
-
-          Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAMS_SECTION_VIEW, {
-            timestamp: Date.now(),
-            viewportWidth: window.innerWidth,
-            viewportHeight: window.innerHeight,
-          });
+    function handleFocusOut(event) {
+      const field = getField(event);
+      const state = formStates.get(event.currentTarget);
 
-          log('info', 'Programs section viewed');
-
-          if (observer) {
-            observer.disconnect();
-          }
-        }
-      });
+      if (field && state && state.fields.has(field.name)) {
+        stopFieldClock(state.fields.get(field.name), Date.now());
+      }
     }
 
     /**
-     * Initializes programs section visibility tracking
+     * Counts a correction the first time a previously filled field is edited per focus
+     * @param {InputEvent} event - Input event
      */
-    function initialize() {
-      const programsSection = querySelector(SELECTORS.PROGRAMS_SECTION);
-
-      if (!programsSection) {
-        log('warn', 'Programs section not found for visibility tracking');
-        return;
-      }
+    function handleInput(event) {
+      const field = getField(event);
+      const state = formStates.get(event.currentTarget);
 
-      if (!('IntersectionObserver' in window)) {
-        log('warn', 'IntersectionObserver not supported for programs visibility tracking');
-        Analytics.trackEvent(ANALYTICS_EVENTS.PROGRAMS_SECTION_VIEW, {
-          timestamp: Date.now(),
-          fallback: true,
-        });
+      if (!field || !state) {
         return;
       }
 
-      try {
-        observer = new IntersectionObserver(handleVisibility, {
-          threshold: CONFIG.INTERSECTION_THRESHOLD,
-        });
+      markStarted(state, field.name);
 
-        observer.observe(programsSection);
-        log('info', 'Programs section visibility tracking initialized');
-      } catch (error) {
-        log('error', 'Failed to initialize programs visibility tracking', {
-          error: error.message,
-        });
+      const fieldState = getFieldState(state, field.name);
+      if (fieldState.hadValueOnFocus && !fieldState.editedThisFocus) {
+        fieldState.correctionCount += 1;
       }
+      fieldState.editedThisFocus = true;
+      state.lastField = field.name;
     }
 
-    return Object.freeze({
-      initialize,
-    });
-  })();
-
-  // ============================================
-  // Contact Form Validation Module
-  // ============================================
-
-  const ContactFormValidation = (function createContactFormValidationModule() {
     /**
-     * Validates a single form field
-     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field to validate
-     * @returns {Object} Validation result with isValid and errorMessage
+     * Counts submit attempts, valid or not
+     * @param {SubmitEvent} event - Submit event
      */
-    function validateField(field) {
-      const value = field.value.trim();
-      const fieldName = field.name;
-      const isRequired = field.hasAttribute('required');
-
-      // Check required fields
-      if (isRequired && !value) {
-        return {
-          isValid: false,
-          errorMessage: ERROR_MESSAGES.REQUIRED,
-        };
-      }
-
-      // Skip validation for optional empty fields
-      if (!isRequired && !value) {
-        return { isValid: true, errorMessage: '' };
-      }
-
-      // Field-specific validation
-      switch (fieldName) {
-        case 'name':
-          if (!VALIDATION_PATTERNS.NAME.test(value)) {
-            return {
-              isValid: false,
-              errorMessage: ERROR_MESSAGES.INVALID_NAME,
-            };
-          }
-          break;
+    function handleSubmit(event) {
+      const state = formStates.get(event.currentTarget);
 
-        case 'email':
-          if (!VALIDATION_PATTERNS.EMAIL.test(value)) {
-            return {
-              isValid: false,
-              errorMessage: ERROR_MESSAGES.INVALID_EMAIL,
-            };
-          }
-          break;
-
-        case 'phone':
-          if (value && !VALIDATION_PATTERNS.PHONE.test(value)) {
-            return {
-              isValid: false,
-              errorMessage: ERROR_MESSAGES.INVALID_PHONE,
-            };
-          }
-          break;
-
-        case 'message':
-          if (value.length < 10) {
-            return {
-              isValid: false,
-              errorMessage: ERROR_MESSAGES.MESSAGE_TOO_SHORT,
-            };
-          }
-          break;
-
-        default:
-          break;
+      if (state) {
+        state.submitAttempts += 1;
       }
-
-      return { isValid: true, errorMessage: '' };
     }
 
     /**
-     * Displays validation error for a field
-     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
-     * @param {string} errorMessage - Error message to display
+     * Maps a failing rule to the error_type reported for it
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Invalid field
+     * @param {string} rule - Failing rule
+     * @returns {string} Error type such as "invalid_email"
      */
-    function showFieldError(field, errorMessage) {
-      const formGroup = field.closest(SELECTORS.FORM_GROUPS);
-      if (!formGroup) return;
-
-      const errorElement = formGroup.querySelector(SELECTORS.FORM_ERROR);
-      if (!errorElement) return;
+    function getErrorType(field, rule) {
+      if (rule === 'minlength' && field.name === 'message') {
+        return 'message_too_short';
+      }
 
-      field.setAttribute('aria-invalid', 'true');
-      errorElement.textContent = errorMessage;
-      errorElement.style.display = 'block';
+      return LEGACY_ERROR_TYPES[rule] || rule || 'unknown';
     }
 
     /**
-     * Clears validation error for a field
-     * @param {HTMLInputElement|HTMLTextAreaElement} field - Form field
+     * Records a field newly failing validation
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Invalid field
+     * @param {string} rule - Failing rule, such as "required" or "email"
      */
-    function clearFieldError(field) {
-      const formGroup = field.closest(SELECTORS.FORM_GROUPS);
-      if (!formGroup) return;
+    function recordFieldError(field, rule) {
+      const state = field.form ? formStates.get(field.form) : null;
+
+      if (!state || !field.name) {
+        return;
+      }
 
-      const errorElement = formGroup.querySelector(SELECTORS.FORM_ERROR);
-      if (!errorElement) return;
+      const fieldState = getFieldState(state, field.name);
+      fieldState.errorCount += 1;
 
-      field.setAttribute('aria-invalid', 'false');
-      errorElement.textContent = '';
-      errorElement.style.display = 'none';
+      Analytics.trackEvent(state.events.fieldError, {
+        form_name: state.formName,
+        field_name: field.name,
+        error_type: getErrorType(field, rule),
+        error_count: fieldState.errorCount,
+        time_since_start_ms: state.startedAt === null ? 0 : Date.now() - state.startedAt,
+      });
     }
 
     /**
-     * Validates all form fields
-     * @param {HTMLFormElement} form - Form element
-     * @returns {boolean} True if all fields are valid
+     * Sends the abandon event for a started form, once per hide
+     * @param {Object} state - Funnel state
      */
-    function validateForm(form) {
-      const fields = Array.from(form.elements).filter(
-        (element) => element.tagName === 'INPUT' || element.tagName === 'TEXTAREA'
-      );
-
-      let isFormValid = true;
-      const errors = [];
+    function sendAbandonSnapshot(state) {
+      if (state.startedAt === null || state.abandonReported) {
+        return;
+      }
 
-      fields.forEach((field) => {
-        const { isValid, errorMessage } = validateField(field);
+      state.abandonReported = true;
+      Analytics.trackEvent(state.events.abandon, {
+        form_name: state.formName,
+        last_field: state.lastField,
+        fields_touched: state.fields.size,
+        submit_attempts: state.submitAttempts,
+        time_since_start_ms: Date.now() - state.startedAt,
+      });
+    }
 
-        if (!isValid) {
-          isFormValid = false;
-          showFieldError(field, errorMessage);
-          errors.push({
-            field: field.name,
-            error: errorMessage,
-          });
+    /**
+     * Snapshots abandonment when the page is hidden, the last event mobile browsers
+     * reliably fire before discarding a backgrounded tab
+     *
+     * The funnel is kept, so a visitor who switches apps and comes back carries on
+     * where they left off; the snapshot is only sent again after they return.
+     */
+    function handleVisibilityChange() {
+      formStates.forEach((state) => {
+        if (document.visibilityState === 'hidden') {
+          sendAbandonSnapshot(state);
         } else {
-          clearFieldError(field);
+          state.abandonReported = false;
         }
       });
+    }
 
-      if (!isFormValid) {
-        Analytics.trackEvent(ANALYTICS_EVENTS.FORM_VALIDATION_ERROR, {
-          errors,
-          timestamp: Date.now(),
-        });
-
-        log('warn', 'Form validation failed', { errors });
+    /**
+     * Closes the funnel of every started form when the page is unloaded for good
+     * @param {PageTransitionEvent} event - pagehide event
+     */
+    function handlePageHide(event) {
+      if (event.persisted) {
+        return;
       }
 
-      return isFormValid;
+      formStates.forEach((state) => {
+        if (state.startedAt === null) {
+          return;
+        }
+
+        sendAbandonSnapshot(state);
+        reportFields(state, 'abandoned');
+      });
+    }
+
+    /**
+     * Closes a form's funnel after a successful submission
+     * @param {HTMLFormElement} form - Submitted form
+     */
+    function recordSubmitted(form) {
+      const state = formStates.get(form);
+
+      if (state && state.startedAt !== null) {
+        reportFields(state, 'submitted');
+      }
     }
 
     /**
-     * Handles real-time field validation
-     * @param {Event} event - Input or blur event
+     * Starts funnel tracking for a form
+     *
+     * Only field names, timings and counts are recorded - never field values.
+     *
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} settings - Form settings from ContactForm
+     * @returns {Function} Detach function
      */
-    function handleFieldValidation(event) {
-      const field = event.target;
-      const { isValid, errorMessage } = validateField(field);
+    function attach(form, settings) {
+      formStates.set(form, createState(settings));
 
-      if (!isValid) {
-        showFieldError(field, errorMessage);
-      } else {
-        clearFieldError(field);
+      form.addEventListener('focusin', handleFocusIn);
+      form.addEventListener('focusout', handleFocusOut);
+      form.addEventListener('input', handleInput);
+      form.addEventListener('submit', handleSubmit);
+
+      if (formStates.size === 1) {
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        window.addEventListener('pagehide', handlePageHide);
       }
+
+      logger.debug('Form analytics attached', { formName: settings.name });
+
+      return () => {
+        form.removeEventListener('focusin', handleFocusIn);
+        form.removeEventListener('focusout', handleFocusOut);
+        form.removeEventListener('input', handleInput);
+        form.removeEventListener('submit', handleSubmit);
+        formStates.delete(form);
+
+        if (formStates.size === 0) {
+          document.removeEventListener('visibilitychange', handleVisibilityChange);
+          window.removeEventListener('pagehide', handlePageHide);
+        }
+      };
     }
 
     return Object.freeze({
-      validateForm,
-      handleFieldValidation,
-      clearFieldError,
+      attach,
+      recordFieldError,
+      recordSubmitted,
     });
   })();
 
   // ============================================
-  // Contact Form Submission Module
+  // Form Drafts Module
   // ============================================
 
-  const ContactFormSubmission = (function createContactFormSubmissionModule() {
+  const FormDrafts = (function createFormDraftsModule() {
+    const logger = createLogger('FormDrafts');
+    const NOTICE_CLASS = 'form-draft-notice';
+    const UNSAVED_TYPES = Object.freeze(['password', 'file']);
+
     /**
-     * Sets form loading state
+     * Returns the storage key for a form's draft
      * @param {HTMLFormElement} form - Form element
-     * @param {boolean} isLoading - Loading state
+     * @returns {string} Storage key
      */
-    function setFormLoadingState(form, isLoading) {
-      const submitButton = form.querySelector(SELECTORS.FORM_SUBMIT_BUTTON);
-      if (!submitButton) return;
-
-      submitButton.setAttribute('aria-busy', isLoading ? 'true' : 'false');
-      submitButton.disabled = isLoading;
-
-      const formInputs = form.querySelectorAll('input, textarea');
-      formInputs.forEach((input) => {
-        input.disabled = isLoading;
-      });
+    function getStorageKey(form) {
+      return `${CONFIG.FORM_DRAFT_STORAGE_KEY}:${form.getAttribute('data-form')}`;
     }
 
     /**
-     * Shows success message
+     * Returns the fields whose values may be kept in a draft
      * @param {HTMLFormElement} form - Form element
+     * @returns {Array<HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement>} Fields
      */
-    function showSuccessMessage(form) {
-      const successMessage = document.createElement('div');
-      successMessage.className = 'form-success-message';
-      successMessage.setAttribute('role', 'alert');
-      successMessage.setAttribute('aria-live', 'polite');
-      successMessage.textContent = 'Thank you! Your message has been sent successfully. We\'ll get back to you soon.';
-      successMessage.style.cssText = `
-        padding: var(--space-md);
-        margin-top: var(--space-lg);
-        background-color: var(--color-success-50);
-        color: var(--color-success-700);
-        border: 2px solid var(--color-success-500);
-        border-radius: var(--radius-md);
-        font-size: var(--font-size-base);
-        font-weight: var(--font-weight-medium);
-      `;
-
-      form.appendChild(successMessage);
-
-      setTimeout(() => {
-        successMessage.remove();
-      }, 10000);
+    function getDraftFields(form) {
+      return ContactFormValidation.getValidatableFields(form).filter((field) =>
+        field.name && !field.hasAttribute('data-sensitive') && !UNSAVED_TYPES.includes(field.type)
+      );
     }
 
     /**
-     * Shows error message
-     * @param {HTMLFormElement} form - Form element
-     * @param {string} message - Error message
+     * Returns the key a field's value is stored under; radio buttons and
+     * checkboxes sharing a name are told apart by their value
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+     * @returns {string} Draft key
      */
-    function showErrorMessage(form, message) {
-      const errorMessage = document.createElement('div');
-      errorMessage.className = 'form-error-message';
-      errorMessage.setAttribute('role', 'alert');
-      errorMessage.setAttribute('aria-live', 'assertive');
-      errorMessage.textContent = message;
-      errorMessage.style.cssText = `
-        padding: var(--space-md);
-        margin-top: var(--space-lg);
-        background-color: var(--color-error-50);
-        color: var(--color-error-700);
-        border: 2px solid var(--color-error-500);
-        border-radius: var(--radius-md);
-        font-size: var(--font-size-base);
-        font-weight: var(--font-weight-medium);
-      `;
-
-      form.appendChild(errorMessage);
-
-      setTimeout(() => {
-        errorMessage.remove();
-      }, 10000);
+    function getFieldKey(field) {
+      return ['checkbox', 'radio'].includes(field.type) ? `${field.name}=${field.value}` : field.name;
     }
 
     /**
-     * Submits form data
-     * @param {HTMLFormElement} form - Form element
-     * @returns {Promise<boolean>} Success status
+     * Returns the value a field resets to; a select always has a value, so only a
+     * changed one counts as input
+     * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Form field
+     * @returns {string} Default value
      */
-    async function submitForm(form) {
-      const formData = new FormData(form);
-      const action = form.getAttribute('action');
-
-      try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.FORM_SUBMIT_TIMEOUT_MS);
-
-        const response = await fetch(action, {
-          method: 'POST',
-          body: formData,
-          headers: {
-            'Accept': 'application/json',
-          },
-          signal: controller.signal,
-        });
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        return true;
-      } catch (error) {
-        if (error.name === 'AbortError') {
-          throw new Error('Request timeout');
-        }
-        throw error;
+    function getDefaultValue(field) {
+      if (field.tagName !== 'SELECT') {
+        return '';
       }
+
+      const defaultOption = Array.from(field.options).find((option) => option.defaultSelected) || field.options[0];
+      return defaultOption ? defaultOption.value : '';
     }
 
     /**
-     * Handles form submission
-     * @param {Event} event - Submit event
+     * Saves the form's non-sensitive values, or drops the draft once they are all empty
+     * @param {HTMLFormElement} form - Form element
      */
-    async function handleFormSubmit(event) {
-      event.preventDefault();
+    function save(form) {
+      const values = {};
+      let hasInput = false;
 
-      const form = event.target;
+      getDraftFields(form).forEach((field) => {
+        const isCheckable = ['checkbox', 'radio'].includes(field.type);
+        const value = isCheckable ? field.checked : field.value;
 
-      // Remove any existing messages
-      const existingMessages = form.querySelectorAll('.form-success-message, .form-error-message');
-      existingMessages.forEach((msg) => msg.remove());
+        values[getFieldKey(field)] = value;
+        hasInput = hasInput || (Boolean(value) && value !== getDefaultValue(field));
+      });
 
-      // Validate form
-      if (!ContactFormValidation.validateForm(form)) {
-        const firstInvalidField = form.querySelector('[aria-invalid="true"]');
-        if (firstInvalidField) {
-          firstInvalidField.focus();
-        }
+      if (!hasInput) {
+        removeStoredItem(getStorageKey(form));
         return;
       }
 
-      // Track submission start
-      Analytics.trackEvent(ANALYTICS_EVENTS.FORM_SUBMIT_START, {
-        timestamp: Date.now(),
-      });
-
-      log('info', 'Form submission started');
+      writeStoredJSON(getStorageKey(form), { savedAt: Date.now(), values });
+    }
 
-      // Set loading state
-      setFormLoadingState(form, true);
+    /**
+     * Removes the form's draft and its restored notice
+     * @param {HTMLFormElement} form - Form element
+     */
+    function clear(form) {
+      removeStoredItem(getStorageKey(form));
 
-      try {
-        // Submit form
-        await submitForm(form);
+      const notice = form.querySelector(`.${NOTICE_CLASS}`);
+      if (notice) {
+        notice.remove();
+      }
+    }
 
-        // Track success
-        Analytics.trackEvent(ANALYTICS_EVENTS.FORM_SUBMIT_SUCCESS, {
-          timestamp: Date.now(),
-        });
+    /**
+     * Shows the dismissible notice that a draft was restored
+     * @param {HTMLFormElement} form - Form element
+     */
+    function showNotice(form) {
+      const notice = document.createElement('div');
+      notice.className = NOTICE_CLASS;
+      notice.setAttribute('role', 'status');
+
+      const text = document.createElement('span');
+      text.textContent = ERROR_MESSAGES.DRAFT_RESTORED;
+
+      const dismissButton = document.createElement('button');
+      dismissButton.type = 'button';
+      dismissButton.className = `${NOTICE_CLASS}__dismiss`;
+      dismissButton.setAttribute('aria-label', 'Dismiss draft notice');
+      dismissButton.textContent = '×';
+      dismissButton.addEventListener('click', () => notice.remove());
+
+      notice.append(text, dismissButton);
+      form.prepend(notice);
+    }
 
-        // Track conversion
-        GoogleAnalytics.trackConversion('contact_form_submission', {
-          form_name: 'contact_form',
-          submission_method: 'web_form',
-        });
+    /**
+     * Fills empty fields from a saved draft, dropping drafts that have expired
+     * @param {HTMLFormElement} form - Form element
+     * @returns {boolean} True when anything was restored
+     */
+    function restore(form) {
+      const key = getStorageKey(form);
+      const draft = readStoredJSON(key);
 
-        log('info', 'Form submitted successfully');
+      if (!draft || typeof draft.values !== 'object' || draft.values === null) {
+        return false;
+      }
 
-        // Show success message
-        showSuccessMessage(form);
+      if (Date.now() - draft.savedAt > CONFIG.FORM_DRAFT_MAX_AGE_HOURS * 60 * 60 * 1000) {
+        removeStoredItem(key);
+        logger.debug('Expired draft removed', { form: form.getAttribute('data-form') });
+        return false;
+      }
 
-        // Reset form
-        form.reset();
+      let restored = 0;
 
-        // Clear any validation errors
-        const fields = form.querySelectorAll('input, textarea');
-        fields.forEach((field) => {
-          ContactFormValidation.clearFieldError(field);
-        });
-      } catch (error) {
-        // Track error
-        Analytics.trackEvent(ANALYTICS_EVENTS.FORM_SUBMIT_ERROR, {
-          error: error.message,
-          timestamp: Date.now(),
-        });
+      getDraftFields(form).forEach((field) => {
+        const value = draft.values[getFieldKey(field)];
 
-        log('error', 'Form submission failed', {
-          error: error.message,
-        });
+        if (value === undefined) {
+          return;
+        }
 
-        // Show error message
-        const errorMessage = error.message.includes('timeout')
-          ? ERROR_MESSAGES.NETWORK_ERROR
-          : ERROR_MESSAGES.SUBMISSION_FAILED;
+        if (['checkbox', 'radio'].includes(field.type)) {
+          field.checked = value === true;
+          restored += value === true ? 1 : 0;
+        } else if (field.value === getDefaultValue(field)) {
+          // Values the browser kept, e.g. after going back, are newer than the draft
+          field.value = String(value);
+          restored += value === getDefaultValue(field) ? 0 : 1;
+        }
+      });
 
-        showErrorMessage(form, errorMessage);
-      } finally {
-        // Reset loading state
-        setFormLoadingState(form, false);
+      if (restored > 0) {
+        showNotice(form);
+        logger.info('Draft restored', { form: form.getAttribute('data-form'), fields: restored });
       }
+
+      return restored > 0;
     }
 
     return Object.freeze({
-      handleFormSubmit,
+      save,
+      clear,
+      restore,
     });
   })();
 
@@ -1609,33 +9084,161 @@
   // Contact Form Module
   // ============================================
 
+  /**
+   * Manages every form marked with data-form="<name>". Each form is configured
+   * by its own attributes:
+   *
+   * - data-form: name reported as form_name, and the default event prefix
+   * - data-event-prefix: prefix for its funnel events ("<prefix>_submit_success", ...)
+   * - data-endpoint: URL to POST to; defaults to the action attribute
+   * - data-success-message / data-error-message: copy shown after submitting
+   * - data-conversion: GA conversion name, "none" to skip; defaults to "<name>_submission"
+   * - data-idempotency: send the idempotency key header to a cross-origin endpoint
+   */
   const ContactForm = (function createContactFormModule() {
+    const logger = createLogger('ContactForm');
+    // The contact form's event names, whose "contact_form" prefix each form replaces
+    const DEFAULT_EVENT_PREFIX = 'contact_form';
+    const FORM_EVENT_TEMPLATES = Object.freeze({
+      start: ANALYTICS_EVENTS.FORM_START,
+      submitStart: ANALYTICS_EVENTS.FORM_SUBMIT_START,
+      submitSuccess: ANALYTICS_EVENTS.FORM_SUBMIT_SUCCESS,
+      submitError: ANALYTICS_EVENTS.FORM_SUBMIT_ERROR,
+      submitQueued: ANALYTICS_EVENTS.FORM_SUBMIT_QUEUED,
+      validationError: ANALYTICS_EVENTS.FORM_VALIDATION_ERROR,
+      fieldError: ANALYTICS_EVENTS.FORM_FIELD_ERROR,
+      fieldSummary: ANALYTICS_EVENTS.FORM_FIELD_SUMMARY,
+      abandon: ANALYTICS_EVENTS.FORM_ABANDON,
+    });
+    const instances = new Map();
+
     /**
-     * Initializes contact form validation and submission
+     * Returns the idempotency header to send to a form's endpoint, if any
+     *
+     * Cross-origin endpoints only get it when the form opts in with data-idempotency,
+     * as the header triggers a CORS preflight the endpoint has to allow.
+     *
+     * @param {HTMLFormElement} form - Form element
+     * @param {string|null} endpoint - Endpoint URL
+     * @returns {string} Header name, or empty when none is sent
      */
-    function initialize() {
-      const form = querySelector(SELECTORS.CONTACT_FORM);
+    function getIdempotencyHeader(form, endpoint) {
+      if (!CONFIG.FORM_IDEMPOTENCY_HEADER || !endpoint) {
+        return '';
+      }
 
-      if (!form) {
-        log('warn', 'Contact form not found');
-        return;
+      try {
+        const isSameOrigin = new URL(endpoint, window.location.href).origin === window.location.origin;
+        return isSameOrigin || form.hasAttribute('data-idempotency') ? CONFIG.FORM_IDEMPOTENCY_HEADER : '';
+      } catch (error) {
+        return '';
       }
+    }
+
+    /**
+     * Reads a form's settings from its attributes
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object} Settings
+     */
+    function getFormSettings(form) {
+      const name = form.getAttribute('data-form') || DEFAULT_EVENT_PREFIX;
+      const eventPrefix = form.getAttribute('data-event-prefix') || name;
+      const conversion = form.getAttribute('data-conversion') || `${name}_submission`;
+      const endpoint = form.getAttribute('data-endpoint') || form.getAttribute('action');
+      const events = {};
+
+      Object.entries(FORM_EVENT_TEMPLATES).forEach(([key, template]) => {
+        events[key] = template.replace(DEFAULT_EVENT_PREFIX, eventPrefix);
+        if (events[key] !== template) {
+          EventSchema.register(events[key], ANALYTICS_EVENT_SCHEMAS[template]);
+        }
+      });
 
-      // Attach submit handler
-      form.addEventListener('submit', ContactFormSubmission.handleFormSubmit);
+      return Object.freeze({
+        name,
+        endpoint,
+        idempotencyHeader: getIdempotencyHeader(form, endpoint),
+        successMessage: form.getAttribute('data-success-message') || ERROR_MESSAGES.SUBMISSION_SUCCESS,
+        errorMessage: form.getAttribute('data-error-message') || ERROR_MESSAGES.SUBMISSION_FAILED,
+        conversion: conversion === 'none' ? null : conversion,
+        events: Object.freeze(events),
+      });
+    }
 
-      // Attach real-time validation handlers
-      const fields = form.querySelectorAll('input, textarea');
-      fields.forEach((field) => {
+    /**
+     * Wires validation, submission and analytics for one form
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Function} Teardown function
+     */
+    function attachForm(form) {
+      const settings = getFormSettings(form);
+      const handleSubmit = (event) => ContactFormSubmission.handleFormSubmit(event, settings);
+      const detachAnalytics = ContactFormAnalytics.attach(form, settings);
+      // The debounced save can miss the last keystrokes, so save again when a field
+      // loses focus and when the page is left
+      const saveDraft = () => FormDrafts.save(form);
+      const fieldListeners = ContactFormValidation.getValidatableFields(form).map((field) => {
+        const handleInput = debounce((event) => {
+          ContactFormValidation.handleFieldValidation(event);
+          FormDrafts.save(form);
+        }, 500);
         field.addEventListener('blur', ContactFormValidation.handleFieldValidation);
-        field.addEventListener('input', debounce(ContactFormValidation.handleFieldValidation, 500));
+        field.addEventListener('input', handleInput);
+        return { field, handleInput };
+      });
+
+      if (!settings.endpoint) {
+        logger.warn('Form has no action or data-endpoint', { form: settings.name });
+      }
+
+      form.addEventListener('submit', handleSubmit);
+      form.addEventListener('focusout', saveDraft);
+      window.addEventListener('pagehide', saveDraft);
+      FormDrafts.restore(form);
+
+      return () => {
+        form.removeEventListener('submit', handleSubmit);
+        form.removeEventListener('focusout', saveDraft);
+        window.removeEventListener('pagehide', saveDraft);
+        detachAnalytics();
+        fieldListeners.forEach(({ field, handleInput }) => {
+          field.removeEventListener('blur', ContactFormValidation.handleFieldValidation);
+          field.removeEventListener('input', handleInput);
+        });
+      };
+    }
+
+    /**
+     * Initializes every form marked with data-form
+     */
+    function initialize() {
+      const forms = querySelectorAll(SELECTORS.FORMS);
+
+      if (forms.length === 0) {
+        logger.warn('No forms found');
+        return;
+      }
+
+      forms.forEach((form) => {
+        if (!instances.has(form)) {
+          instances.set(form, attachForm(form));
+        }
       });
 
-      log('info', 'Contact form initialized');
+      logger.info(`Forms initialized: ${forms.map((form) => form.getAttribute('data-form')).join(', ')}`);
+    }
+
+    /**
+     * Removes submit, validation and analytics handlers from every form
+     */
+    function destroy() {
+      instances.forEach((teardown) => teardown());
+      instances.clear();
     }
 
     return Object.freeze({
       initialize,
+      destroy,
     });
   })();
 
@@ -1651,19 +9254,39 @@
       PerformanceMonitor.mark('initialization-start');
       log('info', 'Initializing hero section modules');
 
-      GoogleAnalytics.initialize();
-      SmoothScroll.initialize();
-      LazyLoader.initialize();
-      CTATracking.initialize();
-      VisibilityTracking.initialize();
-      ProgramCards.initialize();
-      ProgramsVisibilityTracking.initialize();
-      ContactForm.initialize();
+      // ErrorMonitor comes first so initialization failures are captured, and
+      // Experiments next so variants are in place before anything reads the hero;
+      // PerformanceMonitor, EngagementTracker and SectionTracker precede EventQueue
+      // so their final reports are queued before the event queue flushes on page hide
+      ModuleRegistry.register('ErrorMonitor', ErrorMonitor);
+      ModuleRegistry.register('Experiments', Experiments);
+      ModuleRegistry.register('AdaptiveLoading', AdaptiveLoading);
+      ModuleRegistry.register('PerformanceMonitor', PerformanceMonitor);
+      ModuleRegistry.register('EngagementTracker', EngagementTracker);
+      ModuleRegistry.register('SectionTracker', SectionTracker);
+      ModuleRegistry.register('ConsentManager', ConsentManager);
+      ModuleRegistry.register('Attribution', Attribution, { dependencies: ['ConsentManager'] });
+      ModuleRegistry.register('DebugPanel', DebugPanel, { dependencies: ['ConsentManager'] });
+      ModuleRegistry.register('EventQueue', EventQueue, { dependencies: ['ConsentManager'] });
+      ModuleRegistry.register('AnalyticsConsentBridge', AnalyticsConsentBridge, {
+        dependencies: ['ConsentManager', 'EventQueue'],
+      });
+      ModuleRegistry.register('SmoothScroll', SmoothScroll);
+      ModuleRegistry.register('LazyLoader', LazyLoader);
+      ModuleRegistry.register('CTATracking', CTATracking);
+      ModuleRegistry.register('DeclarativeTracking', DeclarativeTracking);
+      ModuleRegistry.register('ProgramCards', ProgramCards);
+      ModuleRegistry.register('FormOutbox', FormOutbox);
+      ModuleRegistry.register('ContactForm', ContactForm);
+
+      ModuleRegistry.initializeAll();
 
       PerformanceMonitor.mark('initialization-end');
       PerformanceMonitor.measure('total-initialization', 'initialization-start', 'initialization-end');
 
-      log('info', 'Hero section initialization complete');
+      log('info', 'Hero section initialization complete', {
+        modules: ModuleRegistry.getStatus().map(({ name, status }) => `${name}:${status}`),
+      });
     } catch (error) {
       log('error', 'Critical error during initialization', {
         error: error.message,
@@ -1681,25 +9304,4 @@
   } else {
     initializeAll();
   }
-
-  // ============================================
-  // Page Load Performance Tracking
-  // ============================================
-
-  window.addEventListener('load', () => {
-    // Report performance metrics after page load
-    setTimeout(() => {
-      PerformanceMonitor.reportMetrics();
-    }, 0);
-  });
-
-  // ============================================
-  // Cleanup on Page Unload
-  // ============================================
-
-  window.addEventListener('beforeunload', () => {
-    LazyLoader.destroy();
-    PerformanceMonitor.reportMetrics();
-    log('info', 'Hero section cleanup complete');
-  });
 })();
\ No newline at end of file
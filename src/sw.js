@@ -0,0 +1,180 @@
+/**
+ * NYC Homeschool - Service Worker
+ *
+ * Sends form submissions saved by FormOutbox in js/main.js while the visitor was
+ * offline. Delivery runs on Background Sync, so it also happens after the tab is
+ * closed. The database layout, claim duration, sync tag and message type must
+ * match FormOutbox.
+ *
+ * Registered from /sw.js so that its scope covers the whole site.
+ */
+
+const DB_NAME = 'nychomeschool-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+const SYNC_TAG = 'form-outbox';
+const RESULT_MESSAGE_TYPE = 'form-outbox-result';
+const CLAIM_DURATION_MS = 60000;
+// Shorter than CLAIM_DURATION_MS so a claim never lapses while its request runs
+const SEND_TIMEOUT_MS = 30000;
+
+/**
+ * Opens the outbox database, creating it if the page has not yet
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openOutboxDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs one request against the submissions store
+ * @param {IDBDatabase} db - Database
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+function runTransaction(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Claims a record for sending, so open pages skip it
+ * @param {IDBDatabase} db - Database
+ * @param {string} id - Record id
+ * @returns {Promise<Object|null>} The claimed record, or null when it is gone or
+ *   another sender holds it
+ */
+function claim(db, id) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.get(id);
+    let claimed = null;
+
+    request.onsuccess = () => {
+      const record = request.result;
+
+      if (record && !(record.sendingUntil > Date.now())) {
+        claimed = { ...record, sendingUntil: Date.now() + CLAIM_DURATION_MS };
+        store.put(claimed);
+      }
+    };
+    transaction.oncomplete = () => resolve(claimed);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Sends one saved submission
+ * @param {IDBDatabase} db - Database
+ * @param {Object} record - Outbox record
+ * @returns {Promise<Object|null|undefined>} Result for the page, null when it should
+ *   be retried, or undefined when another sender has it
+ */
+async function deliver(db, record) {
+  const claimed = await claim(db, record.id);
+
+  if (!claimed) {
+    return undefined;
+  }
+
+  if (Date.now() > claimed.expiresAt) {
+    await runTransaction(db, 'readwrite', (store) => store.delete(claimed.id));
+    return { record: claimed, outcome: 'expired', status: 0 };
+  }
+
+  const formData = new FormData();
+  claimed.fields.forEach(([name, value]) => formData.append(name, value));
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SEND_TIMEOUT_MS);
+  let response;
+
+  try {
+    response = await fetch(claimed.endpoint, {
+      method: 'POST',
+      body: formData,
+      headers: claimed.headers,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    await runTransaction(db, 'readwrite', (store) => store.put({ ...claimed, sendingUntil: 0 }));
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const { status } = response;
+  if (response.ok || (status >= 400 && status < 500 && status !== 429)) {
+    await runTransaction(db, 'readwrite', (store) => store.delete(claimed.id));
+    return { record: claimed, outcome: response.ok ? 'delivered' : 'rejected', status };
+  }
+
+  await runTransaction(db, 'readwrite', (store) => {
+    return store.put({ ...claimed, attempts: claimed.attempts + 1, sendingUntil: 0 });
+  });
+  return null;
+}
+
+/**
+ * Sends every saved submission and tells open pages about the outcomes
+ *
+ * Rejects while anything is left, so the browser schedules the sync again.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+  const db = await openOutboxDatabase();
+  const records = await runTransaction(db, 'readonly', (store) => store.getAll());
+  const results = [];
+  let remaining = 0;
+
+  for (const record of records) {
+    const result = await deliver(db, record);
+    if (result) {
+      results.push(result);
+    } else if (result === null) {
+      remaining += 1;
+    }
+  }
+
+  if (results.length > 0) {
+    // Every open page updates its status line; only the first sends analytics
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach((client, index) => {
+      client.postMessage({ type: RESULT_MESSAGE_TYPE, results, track: index === 0 });
+    });
+  }
+
+  if (remaining > 0) {
+    throw new Error(`${remaining} saved submission(s) could not be sent yet`);
+  }
+}
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
+});